@@ -0,0 +1,184 @@
+/**
+ * Response Content Assertions
+ * Per-site checks on the response body, evaluated after the status code is accepted
+ *
+ * Assertion types (listed in a site's "assertions" array):
+ *   { "type": "contains", "value": "Welcome" }
+ *   { "type": "notContains", "value": "Internal Server Error" }
+ *   { "type": "regex", "pattern": "Version \\d+", "flags": "i" }
+ *   { "type": "jsonPath", "path": "$.status", "equals": "ok" }     (also "notEquals" or "exists")
+ *   { "type": "maxBodySize", "bytes": 500000 }
+ */
+
+const { isPlainObject } = require('./utils');
+
+const ASSERTION_TYPES = ['contains', 'notContains', 'regex', 'jsonPath', 'maxBodySize'];
+
+/**
+ * Split a JSON path like $.data.items[0]['display name'] into keys
+ * @param {string} jsonPath - Path starting with $
+ * @returns {Array<string|number>|null} Keys, or null when the path is malformed
+ */
+function parseJsonPath(jsonPath) {
+  if (typeof jsonPath !== 'string' || !jsonPath.startsWith('$')) {
+    return null;
+  }
+
+  const keys = [];
+  const pattern = /\.([A-Za-z_$][\w$-]*)|\[(\d+)\]|\[(['"])(.*?)\3\]/y;
+  let position = 1;
+
+  while (position < jsonPath.length) {
+    pattern.lastIndex = position;
+    const match = pattern.exec(jsonPath);
+    if (!match) return null;
+    if (match[1] !== undefined) keys.push(match[1]);
+    else if (match[2] !== undefined) keys.push(Number(match[2]));
+    else keys.push(match[4]);
+    position = pattern.lastIndex;
+  }
+
+  return keys;
+}
+
+/**
+ * Resolve parsed JSON path keys against a value
+ * @returns {Object} { found, value }
+ */
+function resolveJsonPath(data, keys) {
+  let current = data;
+  for (const key of keys) {
+    if (current === null || typeof current !== 'object' || !(key in current)) {
+      return { found: false, value: undefined };
+    }
+    current = current[key];
+  }
+  return { found: true, value: current };
+}
+
+/**
+ * Validate a site's "assertions" array
+ * @param {*} assertions - Raw value from sites.json
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+function validateAssertions(assertions) {
+  if (!Array.isArray(assertions)) {
+    return ['"assertions" must be an array'];
+  }
+
+  const errors = [];
+  assertions.forEach((assertion, index) => {
+    const label = `"assertions[${index}]"`;
+
+    if (!isPlainObject(assertion) || !ASSERTION_TYPES.includes(assertion.type)) {
+      errors.push(`${label} must have a "type" of ${ASSERTION_TYPES.join(', ')}`);
+      return;
+    }
+
+    switch (assertion.type) {
+      case 'contains':
+      case 'notContains':
+        if (typeof assertion.value !== 'string' || assertion.value === '') {
+          errors.push(`${label} needs a non-empty "value" string`);
+        }
+        break;
+      case 'regex':
+        try {
+          if (typeof assertion.pattern !== 'string') {
+            throw new Error('pattern is not a string');
+          }
+          new RegExp(assertion.pattern, assertion.flags);
+        } catch (error) {
+          errors.push(`${label} needs a valid "pattern" (and optional "flags")`);
+        }
+        break;
+      case 'jsonPath': {
+        if (parseJsonPath(assertion.path) === null) {
+          errors.push(`${label} needs a "path" like "$.status" or "$.items[0].name"`);
+        }
+        const comparisons = ['equals', 'notEquals', 'exists'].filter(key => key in assertion);
+        if (comparisons.length !== 1) {
+          errors.push(`${label} needs exactly one of "equals", "notEquals" or "exists"`);
+        } else if ('exists' in assertion && typeof assertion.exists !== 'boolean') {
+          errors.push(`${label} "exists" must be true or false`);
+        }
+        break;
+      }
+      case 'maxBodySize':
+        if (!Number.isInteger(assertion.bytes) || assertion.bytes < 1) {
+          errors.push(`${label} needs a positive integer "bytes"`);
+        }
+        break;
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Evaluate a single assertion against a response body
+ * @returns {string|null} Failure message, or null when the assertion holds
+ */
+function evaluateAssertion(assertion, body) {
+  switch (assertion.type) {
+    case 'contains':
+      return body.includes(assertion.value) ? null : `Body does not contain "${assertion.value}"`;
+    case 'notContains':
+      return body.includes(assertion.value) ? `Body contains "${assertion.value}"` : null;
+    case 'regex':
+      return new RegExp(assertion.pattern, assertion.flags).test(body)
+        ? null
+        : `Body does not match /${assertion.pattern}/${assertion.flags || ''}`;
+    case 'maxBodySize': {
+      const size = Buffer.byteLength(body);
+      return size <= assertion.bytes ? null : `Body is ${size} bytes (max ${assertion.bytes})`;
+    }
+    case 'jsonPath': {
+      let data;
+      try {
+        data = JSON.parse(body);
+      } catch (error) {
+        return `Body is not valid JSON (needed for ${assertion.path})`;
+      }
+
+      const { found, value } = resolveJsonPath(data, parseJsonPath(assertion.path));
+      if ('exists' in assertion) {
+        if (found === assertion.exists) return null;
+        return assertion.exists ? `${assertion.path} does not exist` : `${assertion.path} exists`;
+      }
+
+      const expected = 'equals' in assertion ? assertion.equals : assertion.notEquals;
+      const matches = found && JSON.stringify(value) === JSON.stringify(expected);
+      if ('equals' in assertion) {
+        return matches ? null : `${assertion.path} is ${found ? JSON.stringify(value) : 'missing'}, expected ${JSON.stringify(expected)}`;
+      }
+      return matches ? `${assertion.path} equals ${JSON.stringify(expected)}` : null;
+    }
+    default:
+      return `Unknown assertion type "${assertion.type}"`;
+  }
+}
+
+/**
+ * Run a site's assertions in order and report the first failure
+ * @param {Array} assertions - Validated assertions
+ * @param {string} body - Response body as text
+ * @returns {Object|null} { index, assertion, message } for the first failure, or null if all pass
+ */
+function evaluateAssertions(assertions, body) {
+  const text = typeof body === 'string' ? body : '';
+  for (let index = 0; index < assertions.length; index++) {
+    const message = evaluateAssertion(assertions[index], text);
+    if (message) {
+      return { index, assertion: assertions[index], message };
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  validateAssertions,
+  evaluateAssertions,
+  parseJsonPath,
+  resolveJsonPath
+};
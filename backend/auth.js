@@ -0,0 +1,169 @@
+/**
+ * API Authentication
+ * API keys with "read" or "admin" scope, passed as `Authorization: Bearer <token>`,
+ * `X-API-Key: <token>` or `?access_token=<token>`, and the CORS origin allowlist.
+ *
+ * API_KEYS         comma-separated name:scope:token entries, e.g.
+ *                  "dashboard:read:3f9c...,ops:admin:a71b..." (admin keys can also read)
+ * PUBLIC_READ      "true" lets requests without a key use read endpoints
+ * AUTH_DISABLED    "true" (only without API_KEYS) gives every request admin scope, e.g. for a
+ *                  backend that is only reachable on a private network
+ * CORS_ORIGINS     comma-separated allowed origins ("*" allows any); defaults to the
+ *                  dashboard's GitHub Pages domain (see CNAME) and localhost
+ *
+ * Without API_KEYS, read endpoints are open and admin endpoints (site management, incident
+ * notes) are refused, so a fresh deploy can't be used to add sites or edit incidents.
+ */
+
+const crypto = require('crypto');
+
+const SCOPES = ['read', 'admin'];
+
+const DEFAULT_CORS_ORIGINS = ['https://check.amarjit.co.in'];
+
+// Local development (dashboard served from localhost on any port)
+const LOCAL_ORIGIN_PATTERN = /^http:\/\/(localhost|127\.0\.0\.1)(:\d+)?$/;
+
+/**
+ * Hash a token so keys can be compared in constant time regardless of length
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest();
+}
+
+/**
+ * Parse API_KEYS into { name, scope, hash } entries; malformed entries are logged and skipped
+ */
+function parseApiKeys(value) {
+  const keys = [];
+  (value || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const [name, scope, ...tokenParts] = entry.split(':');
+    const token = tokenParts.join(':');
+    if (!name || !SCOPES.includes(scope) || token.length < 16) {
+      console.error(`⚠️ API_KEYS entry "${name || entry.slice(0, 8)}" ignored: expected name:read|admin:token (token of 16+ characters)`);
+      return;
+    }
+    keys.push({ name, scope, hash: hashToken(token) });
+  });
+  return keys;
+}
+
+const API_KEYS = parseApiKeys(process.env.API_KEYS);
+const AUTH_ENABLED = API_KEYS.length > 0;
+const AUTH_DISABLED = !AUTH_ENABLED && process.env.AUTH_DISABLED === 'true';
+const PUBLIC_READ = process.env.PUBLIC_READ === 'true';
+
+const CORS_ORIGINS = process.env.CORS_ORIGINS
+  ? process.env.CORS_ORIGINS.split(',').map(origin => origin.trim().replace(/\/$/, '')).filter(Boolean)
+  : DEFAULT_CORS_ORIGINS;
+
+/**
+ * Get the token sent with a request, if any
+ * ?access_token= is accepted for clients that can't set headers (EventSource)
+ */
+function getRequestToken(req) {
+  const header = req.get('Authorization') || '';
+  const bearer = header.match(/^Bearer\s+(.+)$/i);
+  if (bearer) return bearer[1].trim();
+  if (req.get('X-API-Key')) return req.get('X-API-Key');
+  return typeof req.query.access_token === 'string' ? req.query.access_token : null;
+}
+
+/**
+ * Find the API key matching a token
+ * @param {string|null} token - Token from the request
+ * @returns {Object|null} { name, scope }
+ */
+function findApiKey(token) {
+  if (!token) return null;
+  const hash = hashToken(token);
+  const key = API_KEYS.find(candidate => crypto.timingSafeEqual(candidate.hash, hash));
+  return key ? { name: key.name, scope: key.scope } : null;
+}
+
+/**
+ * Whether a granted scope covers the required one (admin covers read)
+ */
+function hasScope(granted, required) {
+  return SCOPES.indexOf(granted) >= SCOPES.indexOf(required);
+}
+
+/**
+ * Middleware requiring an API key with the given scope
+ * Sets req.apiKey to { name, scope } (name "anonymous" for public reads)
+ * @param {string} scope - 'read' or 'admin'
+ * @returns {Function} Express middleware
+ */
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (AUTH_DISABLED) {
+      req.apiKey = { name: 'anonymous', scope: 'admin' };
+      return next();
+    }
+    if (!AUTH_ENABLED) {
+      if (scope === 'admin') {
+        return res.status(403).json({ success: false, message: 'Admin endpoints are disabled until API_KEYS is set' });
+      }
+      req.apiKey = { name: 'anonymous', scope: 'read' };
+      return next();
+    }
+
+    const token = getRequestToken(req);
+    const key = findApiKey(token);
+
+    if (token && !key) {
+      return res.status(401).json({ success: false, message: 'Invalid API key' });
+    }
+    if (!key && PUBLIC_READ && scope === 'read') {
+      req.apiKey = { name: 'anonymous', scope: 'read' };
+      return next();
+    }
+    if (!key) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({ success: false, message: 'API key required (Authorization: Bearer <token>)' });
+    }
+    if (!hasScope(key.scope, scope)) {
+      return res.status(403).json({ success: false, message: `This API key lacks the "${scope}" scope` });
+    }
+
+    req.apiKey = key;
+    next();
+  };
+}
+
+/**
+ * Options for the cors middleware: only allowlisted origins get CORS headers
+ * Requests without an Origin (curl, server-to-server) are unaffected
+ */
+const corsOptions = {
+  origin(origin, callback) {
+    const allowed = !origin ||
+      CORS_ORIGINS.includes('*') ||
+      CORS_ORIGINS.includes(origin) ||
+      LOCAL_ORIGIN_PATTERN.test(origin);
+    callback(null, allowed);
+  },
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key']
+};
+
+/**
+ * Log how authentication is configured
+ */
+function logAuthConfig() {
+  if (AUTH_DISABLED) {
+    console.warn('🚨 AUTH_DISABLED=true: API authentication is OFF. Anyone who can reach this server');
+    console.warn('🚨 can add or remove monitored sites and edit incidents. Set API_KEYS instead.');
+  } else if (!AUTH_ENABLED) {
+    console.warn('⚠️ API_KEYS not set: read endpoints are open and admin endpoints are disabled');
+  } else {
+    const names = API_KEYS.map(key => `${key.name} (${key.scope})`).join(', ');
+    console.log(`🔑 API keys: ${names}${PUBLIC_READ ? '; public read access enabled' : ''}`);
+  }
+  console.log(`🌐 CORS origins: ${CORS_ORIGINS.join(', ')} (+ localhost)`);
+}
+
+module.exports = {
+  requireScope,
+  corsOptions,
+  logAuthConfig
+};
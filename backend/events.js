@@ -0,0 +1,76 @@
+/**
+ * Live Event Stream
+ * Server-Sent Events for GET /api/events: check results and state changes are pushed to
+ * connected dashboards as they happen, so they don't have to poll.
+ */
+
+// Keep-alive comment interval; proxies (e.g. Render) close idle connections after ~60s
+const HEARTBEAT_MS = 25 * 1000;
+
+// Suggested reconnect delay sent to clients
+const RETRY_MS = 5 * 1000;
+
+// Concurrent connections accepted, so open streams can't exhaust the server
+const MAX_CLIENTS = Number(process.env.MAX_EVENT_CLIENTS) || 100;
+
+/**
+ * Create an event stream that any number of clients can subscribe to
+ * @returns {Object} { subscribe, publish, clientCount }
+ */
+function createEventStream() {
+  const clients = new Set();
+  let nextId = 1;
+
+  const heartbeat = setInterval(() => {
+    clients.forEach(res => res.write(': keep-alive\n\n'));
+  }, HEARTBEAT_MS);
+  heartbeat.unref();
+
+  /**
+   * Attach a request as a subscriber (Express handler)
+   * Responds 503 when the connection limit is reached
+   */
+  function subscribe(req, res) {
+    if (clients.size >= MAX_CLIENTS) {
+      return res.status(503).json({
+        success: false,
+        message: 'Too many live connections, try again later'
+      });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      // Disable response buffering in nginx-style proxies
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    clients.add(res);
+    req.on('close', () => clients.delete(res));
+  }
+
+  /**
+   * Send an event to every subscriber
+   * @param {string} event - Event name (check, state-change, sites)
+   * @param {Object} data - JSON payload
+   */
+  function publish(event, data) {
+    if (clients.size === 0) return;
+
+    const message = `id: ${nextId++}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    clients.forEach(res => res.write(message));
+  }
+
+  return {
+    subscribe,
+    publish,
+    clientCount: () => clients.size
+  };
+}
+
+module.exports = {
+  createEventStream
+};
@@ -0,0 +1,183 @@
+/**
+ * Check History Store
+ * Keeps every background check result in an append-only JSON Lines file
+ * (backend/data/history.jsonl) and an in-memory index per site for queries
+ */
+
+const fs = require('fs');
+const { dataPath, writeFileAtomic } = require('./storage');
+
+const HISTORY_FILE = 'history.jsonl';
+
+// How long check results are kept before compaction drops them
+const HISTORY_RETENTION_DAYS = Number(process.env.HISTORY_RETENTION_DAYS) || 90;
+
+/**
+ * In-memory history, ordered oldest → newest per site
+ * Structure: { siteName: [{ site, status, statusCode, responseTime, error, errorType, checkedAt, maintenance? }] }
+ * maintenance is only present (true) on checks made during a maintenance window
+ * Prototype-free, so names from URLs such as "constructor" don't match inherited keys
+ */
+let historyBySite = Object.create(null);
+
+/**
+ * Convert a stored entry's checkedAt into epoch milliseconds
+ */
+function entryTime(entry) {
+  return Date.parse(entry.checkedAt);
+}
+
+/**
+ * Find the first index whose entry is at or after the given time
+ * @param {Array} entries - Entries sorted by checkedAt
+ * @param {number} time - Epoch milliseconds
+ * @returns {number} Insertion index
+ */
+function lowerBound(entries, time) {
+  let low = 0;
+  let high = entries.length;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (entryTime(entries[mid]) < time) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+}
+
+/**
+ * Add an entry to the in-memory index, keeping each site's list sorted
+ */
+function indexEntry(entry) {
+  if (!historyBySite[entry.site]) {
+    historyBySite[entry.site] = [];
+  }
+  const entries = historyBySite[entry.site];
+  const time = entryTime(entry);
+
+  if (entries.length === 0 || entryTime(entries[entries.length - 1]) <= time) {
+    entries.push(entry);
+  } else {
+    entries.splice(lowerBound(entries, time + 1), 0, entry);
+  }
+}
+
+/**
+ * Load the history file into memory (malformed lines are skipped)
+ */
+function loadHistory() {
+  historyBySite = Object.create(null);
+  const filePath = dataPath(HISTORY_FILE);
+
+  if (!fs.existsSync(filePath)) {
+    console.log('📚 No check history yet, starting fresh');
+    return;
+  }
+
+  let skipped = 0;
+  let loaded = 0;
+  fs.readFileSync(filePath, 'utf-8').split('\n').forEach(line => {
+    if (!line.trim()) return;
+    try {
+      const entry = JSON.parse(line);
+      if (!entry.site || isNaN(entryTime(entry))) {
+        skipped++;
+        return;
+      }
+      indexEntry(entry);
+      loaded++;
+    } catch (error) {
+      skipped++;
+    }
+  });
+
+  console.log(`📚 Loaded ${loaded} history entries${skipped ? ` (${skipped} malformed lines skipped)` : ''}`);
+}
+
+/**
+ * Append a check result to the history log
+ * @param {string} siteName - Name of the site
+ * @param {Object} checkResult - Result from checkSite()
+ * @returns {Object} The stored entry
+ */
+function recordCheck(siteName, checkResult) {
+  const entry = {
+    site: siteName,
+    status: checkResult.status,
+    statusCode: checkResult.statusCode ?? null,
+    responseTime: checkResult.responseTime ?? null,
+    error: checkResult.error ?? null,
+    errorType: checkResult.errorType ?? null,
+    checkedAt: checkResult.checkedAt || new Date().toISOString()
+  };
+  if (checkResult.maintenance) {
+    entry.maintenance = true;
+  }
+
+  indexEntry(entry);
+
+  try {
+    fs.appendFileSync(dataPath(HISTORY_FILE), `${JSON.stringify(entry)}\n`, 'utf-8');
+  } catch (error) {
+    console.error('⚠️ Could not append to check history:', error.message);
+  }
+
+  return entry;
+}
+
+/**
+ * Get recorded checks for a site, oldest first
+ * @param {string} siteName - Name of the site
+ * @param {Object} options - { from, to } as epoch ms (inclusive), limit keeps the most recent N
+ * @returns {Array} History entries
+ */
+function getHistory(siteName, { from, to, limit } = {}) {
+  const entries = historyBySite[siteName] || [];
+  const start = from !== undefined ? lowerBound(entries, from) : 0;
+  const end = to !== undefined ? lowerBound(entries, to + 1) : entries.length;
+  const sliceStart = limit !== undefined ? Math.max(start, end - limit) : start;
+
+  return entries.slice(sliceStart, end);
+}
+
+/**
+ * Drop entries older than the retention period and rewrite the history file
+ * @param {number} now - Current time in epoch ms
+ * @returns {number} Number of entries removed
+ */
+function compactHistory(now = Date.now()) {
+  const cutoff = now - HISTORY_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  let removed = 0;
+  const lines = [];
+
+  Object.keys(historyBySite).forEach(siteName => {
+    const entries = historyBySite[siteName];
+    const keepFrom = lowerBound(entries, cutoff);
+    removed += keepFrom;
+    historyBySite[siteName] = entries.slice(keepFrom);
+    if (historyBySite[siteName].length === 0) {
+      delete historyBySite[siteName];
+      return;
+    }
+    historyBySite[siteName].forEach(entry => lines.push(JSON.stringify(entry)));
+  });
+
+  try {
+    writeFileAtomic(dataPath(HISTORY_FILE), lines.length ? `${lines.join('\n')}\n` : '');
+    console.log(`🧹 History compacted: ${removed} entries older than ${HISTORY_RETENTION_DAYS} days removed, ${lines.length} kept`);
+  } catch (error) {
+    console.error('⚠️ History compaction failed:', error.message);
+  }
+
+  return removed;
+}
+
+module.exports = {
+  HISTORY_RETENTION_DAYS,
+  loadHistory,
+  recordCheck,
+  getHistory,
+  compactHistory
+};
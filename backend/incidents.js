@@ -0,0 +1,239 @@
+/**
+ * Incident Tracking
+ * Records each outage (DOWN period) as an incident persisted in backend/data/incidents.json
+ */
+
+const fs = require('fs');
+const { dataPath, writeFileAtomic } = require('./storage');
+
+const INCIDENTS_FILE = 'incidents.json';
+
+// How long resolved incidents are kept before pruning drops them
+const INCIDENT_RETENTION_DAYS = Number(process.env.INCIDENT_RETENTION_DAYS) || 90;
+
+/**
+ * Persisted incident store
+ * Structure: { nextId, incidents: [{ id, siteName, url, status, startedAt, endedAt, durationMs,
+ *   firstError, firstErrorType, statusCodes, failedChecks, acknowledgedAt, acknowledgedBy, notes,
+ *   lastAlertAt, reminders, escalatedAt }] }
+ */
+let store = { nextId: 1, incidents: [] };
+
+/**
+ * Load incidents from disk (keeps an empty store if the file is missing or unreadable)
+ */
+function loadIncidents() {
+  const filePath = dataPath(INCIDENTS_FILE);
+  if (!fs.existsSync(filePath)) {
+    return;
+  }
+
+  try {
+    const parsed = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    store = {
+      nextId: parsed.nextId || 1,
+      incidents: Array.isArray(parsed.incidents) ? parsed.incidents : []
+    };
+    const openCount = store.incidents.filter(incident => incident.status === 'open').length;
+    console.log(`🚧 Loaded ${store.incidents.length} incidents (${openCount} open)`);
+  } catch (error) {
+    console.error('⚠️ Could not load incidents.json:', error.message);
+  }
+}
+
+/**
+ * Write the incident store to disk
+ */
+function saveIncidents() {
+  try {
+    writeFileAtomic(dataPath(INCIDENTS_FILE), JSON.stringify(store, null, 2));
+  } catch (error) {
+    console.error('⚠️ Could not save incidents.json:', error.message);
+  }
+}
+
+/**
+ * Get the currently open incident for a site, if any
+ * @param {string} siteName - Name of the site
+ * @returns {Object|null}
+ */
+function getOpenIncident(siteName) {
+  return store.incidents.find(incident => incident.siteName === siteName && incident.status === 'open') || null;
+}
+
+/**
+ * Add a status code to an incident's list of codes seen
+ * @returns {boolean} Whether the code was new
+ */
+function trackStatusCode(incident, statusCode) {
+  if (statusCode !== null && statusCode !== undefined && !incident.statusCodes.includes(statusCode)) {
+    incident.statusCodes.push(statusCode);
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Open a new incident for a site that went DOWN
+ * @param {string} siteName - Name of the site
+ * @param {string} url - Site URL
+ * @param {Object} checkResult - The first failing check result (the incident starts here)
+ * @param {number} failedChecks - Failing checks already seen, e.g. while confirming (default 1)
+ * @returns {Object} The new incident
+ */
+function openIncident(siteName, url, checkResult, failedChecks = 1) {
+  const incident = {
+    id: store.nextId++,
+    siteName,
+    url,
+    status: 'open',
+    startedAt: checkResult.checkedAt,
+    endedAt: null,
+    durationMs: null,
+    firstError: checkResult.error || null,
+    firstErrorType: checkResult.errorType || null,
+    statusCodes: [],
+    failedChecks,
+    acknowledgedAt: null,
+    acknowledgedBy: null,
+    notes: [],
+    lastAlertAt: null,
+    reminders: 0,
+    escalatedAt: null
+  };
+  trackStatusCode(incident, checkResult.statusCode);
+
+  store.incidents.push(incident);
+  saveIncidents();
+  console.log(`🚧 Incident #${incident.id} opened for ${siteName}`);
+  return incident;
+}
+
+/**
+ * Record another failing check against an open incident
+ * Only a new status code is written straight away; the failed check count is saved with the
+ * incident's next change (alert, note or resolution) rather than rewriting the file every check
+ * @param {Object} incident - Open incident
+ * @param {Object} checkResult - The failing check result
+ */
+function recordIncidentCheck(incident, checkResult) {
+  incident.failedChecks++;
+  if (trackStatusCode(incident, checkResult.statusCode)) {
+    saveIncidents();
+  }
+}
+
+/**
+ * Record that an alert about an open incident was sent
+ * Kept on the incident so reminders and escalation carry on correctly across restarts
+ * @param {Object} incident - Open incident
+ * @param {string} kind - 'down' (the first alert), 'reminder' or 'escalation'
+ */
+function recordIncidentAlert(incident, kind) {
+  const sentAt = new Date().toISOString();
+  incident.lastAlertAt = sentAt;
+  if (kind === 'reminder') {
+    incident.reminders = (incident.reminders || 0) + 1;
+  }
+  if (kind === 'escalation') {
+    incident.escalatedAt = sentAt;
+  }
+  saveIncidents();
+}
+
+/**
+ * Close an open incident once the site is back UP
+ * @param {Object} incident - Open incident
+ * @param {Object} checkResult - The first successful check result
+ * @returns {Object} The resolved incident
+ */
+function resolveIncident(incident, checkResult) {
+  incident.status = 'resolved';
+  incident.endedAt = checkResult.checkedAt;
+  incident.durationMs = Date.parse(incident.endedAt) - Date.parse(incident.startedAt);
+  saveIncidents();
+  console.log(`✅ Incident #${incident.id} resolved for ${incident.siteName} after ${Math.round(incident.durationMs / 1000)}s`);
+  return incident;
+}
+
+/**
+ * Drop resolved incidents that ended before the retention period and rewrite the file
+ * @param {number} now - Current time in epoch ms
+ * @returns {number} Number of incidents removed
+ */
+function pruneIncidents(now = Date.now()) {
+  const cutoff = now - INCIDENT_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  const kept = store.incidents.filter(incident =>
+    incident.status === 'open' || Date.parse(incident.endedAt) >= cutoff);
+  const removed = store.incidents.length - kept.length;
+
+  if (removed > 0) {
+    store.incidents = kept;
+    saveIncidents();
+    console.log(`🧹 Incidents pruned: ${removed} resolved more than ${INCIDENT_RETENTION_DAYS} days ago removed, ${kept.length} kept`);
+  }
+  return removed;
+}
+
+/**
+ * List incidents, newest first
+ * @param {Object} filters - { site, status: 'open' | 'resolved', limit }
+ * @returns {Array}
+ */
+function listIncidents({ site, status, limit } = {}) {
+  let incidents = store.incidents.slice().reverse();
+  if (site) {
+    incidents = incidents.filter(incident => incident.siteName === site);
+  }
+  if (status) {
+    incidents = incidents.filter(incident => incident.status === status);
+  }
+  return limit ? incidents.slice(0, limit) : incidents;
+}
+
+/**
+ * Get a single incident by id
+ * @param {number} id - Incident id
+ * @returns {Object|null}
+ */
+function getIncident(id) {
+  return store.incidents.find(incident => incident.id === id) || null;
+}
+
+/**
+ * Attach a note to an incident, optionally acknowledging it
+ * @param {Object} incident - Incident to annotate
+ * @param {Object} note - { text, author, acknowledge }
+ * @returns {Object} The stored note
+ */
+function addIncidentNote(incident, { text, author, acknowledge }) {
+  const createdAt = new Date().toISOString();
+  const note = {
+    text,
+    author: author || 'anonymous',
+    createdAt
+  };
+  incident.notes.push(note);
+
+  if (acknowledge && !incident.acknowledgedAt) {
+    incident.acknowledgedAt = createdAt;
+    incident.acknowledgedBy = note.author;
+  }
+
+  saveIncidents();
+  return note;
+}
+
+module.exports = {
+  INCIDENT_RETENTION_DAYS,
+  loadIncidents,
+  getOpenIncident,
+  openIncident,
+  recordIncidentCheck,
+  recordIncidentAlert,
+  resolveIncident,
+  pruneIncidents,
+  listIncidents,
+  getIncident,
+  addIncidentNote
+};
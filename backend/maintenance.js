@@ -0,0 +1,331 @@
+/**
+ * Maintenance Windows
+ * Periods during which sites are still checked, but status changes don't alert and
+ * downtime doesn't count against uptime. Windows are listed under "maintenance", either
+ * in a site's entry in sites.json (that site only) or at the top level (every site):
+ *
+ *   one-off    { "start": "2025-03-01T02:00:00Z", "end": "2025-03-01T03:00:00Z" }
+ *              ("duration": "1h" may replace "end")
+ *   weekly     { "days": ["sun", "wed"], "at": "02:00", "duration": "30m" }
+ *              (without "days", every day)
+ *   cron       { "cron": "0 2 1 * *", "duration": "2h" }
+ *              (minute hour day-of-month month day-of-week, starts a window at each match)
+ *
+ * Recurring windows use "timezone" (IANA name, default UTC) and last at most 24h.
+ * Any window may have a "name" shown in /api/status.
+ */
+
+const { isPlainObject, parseDuration } = require('./utils');
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const MINUTE_MS = 60 * 1000;
+const MAX_RECURRING_DURATION_MS = 24 * 60 * MINUTE_MS;
+
+// Allowed values of the cron fields: minute, hour, day of month, month, day of week
+const CRON_FIELDS = [
+  { min: 0, max: 59 },
+  { min: 0, max: 23 },
+  { min: 1, max: 31 },
+  { min: 1, max: 12 },
+  { min: 0, max: 7 }
+];
+
+const DEFAULT_NAME = 'Scheduled maintenance';
+
+/**
+ * Parse one cron field ("*", "5", "1-5", "*\/15", "1,3,5", "mon-fri") into a set of values
+ * @returns {Set<number>|null} Matching values, or null when invalid
+ */
+function parseCronField(text, { min, max }) {
+  const values = new Set();
+  const toNumber = part => {
+    const weekday = WEEKDAYS.indexOf(part.toLowerCase());
+    if (max === 7 && weekday !== -1) return weekday;
+    return /^\d+$/.test(part) ? Number(part) : NaN;
+  };
+
+  const valid = text.split(',').every(item => {
+    const [range, stepText] = item.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) return false;
+
+    let [low, high] = range === '*' ? [min, max] : range.split('-').map(toNumber);
+    if (high === undefined) high = stepText === undefined ? low : max;
+    if (!(low >= min && high <= max && low <= high)) return false;
+
+    for (let value = low; value <= high; value += step) {
+      // Sunday can be written as 0 or 7
+      values.add(max === 7 && value === 7 ? 0 : value);
+    }
+    return true;
+  });
+
+  return valid ? values : null;
+}
+
+/**
+ * Parse a five-field cron expression
+ * @returns {Object|null} { minute, hour, dayOfMonth, month, dayOfWeek, anyDayOfMonth, anyDayOfWeek }
+ */
+function parseCron(expression) {
+  const parts = typeof expression === 'string' ? expression.trim().split(/\s+/) : [];
+  if (parts.length !== 5) return null;
+
+  const fields = parts.map((part, index) => parseCronField(part, CRON_FIELDS[index]));
+  if (fields.includes(null)) return null;
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = fields;
+  return {
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    anyDayOfMonth: parts[2] === '*',
+    anyDayOfWeek: parts[4] === '*'
+  };
+}
+
+/**
+ * Check whether an IANA time zone name is known to the runtime
+ */
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Parse a "HH:MM" time of day
+ * @returns {Array<number>|null} [hour, minute]
+ */
+function parseTimeOfDay(text) {
+  const match = typeof text === 'string' ? text.trim().match(/^(\d{1,2}):(\d{2})$/) : null;
+  if (!match) return null;
+  const hour = Number(match[1]);
+  const minute = Number(match[2]);
+  return hour <= 23 && minute <= 59 ? [hour, minute] : null;
+}
+
+/**
+ * Validate a single maintenance window
+ * @param {Object} window - Raw window definition
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+function validateMaintenanceWindow(window) {
+  if (!isPlainObject(window)) {
+    return ['must be an object'];
+  }
+
+  const errors = [];
+  if (window.name !== undefined && (typeof window.name !== 'string' || !window.name.trim())) {
+    errors.push('"name" must be a non-empty string');
+  }
+
+  const duration = window.duration === undefined ? null : parseDuration(window.duration);
+  if (window.duration !== undefined && (duration === null || duration < MINUTE_MS)) {
+    errors.push('"duration" must be a duration of at least 1m');
+  }
+
+  if (window.start !== undefined) {
+    if (isNaN(Date.parse(window.start))) {
+      errors.push('"start" must be an ISO 8601 date and time');
+    }
+    if (window.end !== undefined && !(Date.parse(window.end) > Date.parse(window.start))) {
+      errors.push('"end" must be a date and time after "start"');
+    }
+    if ((window.end === undefined) === (window.duration === undefined)) {
+      errors.push('one-off windows need either "end" or "duration"');
+    }
+    return errors;
+  }
+
+  if (window.cron !== undefined) {
+    if (parseCron(window.cron) === null) {
+      errors.push('"cron" must be a five-field cron expression (minute hour day month weekday)');
+    }
+  } else if (window.at !== undefined) {
+    if (parseTimeOfDay(window.at) === null) {
+      errors.push('"at" must be a time of day as "HH:MM"');
+    }
+    if (window.days !== undefined &&
+        (!Array.isArray(window.days) || window.days.length === 0 ||
+          window.days.some(day => typeof day !== 'string' || !WEEKDAYS.includes(day.toLowerCase())))) {
+      errors.push(`"days" must be a list of weekdays (${WEEKDAYS.join(', ')})`);
+    }
+  } else {
+    return ['must have "start" (one-off), "at" (weekly) or "cron"'];
+  }
+
+  if (duration === null) {
+    errors.push('recurring windows need a "duration"');
+  } else if (duration > MAX_RECURRING_DURATION_MS) {
+    errors.push('"duration" of recurring windows must be at most 24h');
+  }
+  if (window.timezone !== undefined && (typeof window.timezone !== 'string' || !isValidTimezone(window.timezone))) {
+    errors.push('"timezone" must be an IANA time zone name such as "Europe/London"');
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a list of maintenance windows
+ * @param {*} windows - Raw "maintenance" value
+ * @returns {Array<string>} Error messages prefixed with the window's position
+ */
+function validateMaintenanceWindows(windows) {
+  if (!Array.isArray(windows)) {
+    return ['"maintenance" must be a list of windows'];
+  }
+
+  const errors = [];
+  windows.forEach((window, index) => {
+    validateMaintenanceWindow(window).forEach(message => errors.push(`maintenance[${index}]: ${message}`));
+  });
+  return errors;
+}
+
+/**
+ * Convert a valid window definition into the form getActiveWindow() evaluates
+ * Weekly windows become cron expressions
+ * @param {Object} window - Validated window definition
+ * @returns {Object} { name, start, end } or { name, cron, durationMs, timezone }
+ */
+function normalizeMaintenanceWindow(window) {
+  const name = window.name ? window.name.trim() : DEFAULT_NAME;
+
+  if (window.start !== undefined) {
+    const start = Date.parse(window.start);
+    const end = window.end !== undefined ? Date.parse(window.end) : start + parseDuration(window.duration);
+    return { name, start, end };
+  }
+
+  let cron = window.cron;
+  if (cron === undefined) {
+    const [hour, minute] = parseTimeOfDay(window.at);
+    const days = window.days ? window.days.map(day => day.toLowerCase()).join(',') : '*';
+    cron = `${minute} ${hour} * * ${days}`;
+  }
+
+  return {
+    name,
+    cron: parseCron(cron),
+    durationMs: parseDuration(window.duration),
+    timezone: window.timezone || 'UTC'
+  };
+}
+
+// Intl formatters per time zone (creating them is comparatively slow)
+const timeFormatters = new Map();
+
+/**
+ * Wall-clock fields of a moment in a time zone
+ * @returns {Object} { minute, hour, dayOfMonth, month, dayOfWeek }
+ */
+function localTimeFields(time, timezone) {
+  let formatter = timeFormatters.get(timezone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric'
+    });
+    timeFormatters.set(timezone, formatter);
+  }
+
+  const parts = {};
+  formatter.formatToParts(new Date(time)).forEach(part => {
+    parts[part.type] = part.value;
+  });
+  return {
+    minute: Number(parts.minute),
+    hour: Number(parts.hour),
+    dayOfMonth: Number(parts.day),
+    month: Number(parts.month),
+    dayOfWeek: WEEKDAYS.indexOf(parts.weekday.toLowerCase())
+  };
+}
+
+/**
+ * Whether a cron expression matches the hour (and day) of local time fields
+ * As in cron, a restricted day of month and day of week match when either one does
+ */
+function cronMatchesHour(cron, fields) {
+  if (!cron.hour.has(fields.hour) || !cron.month.has(fields.month)) {
+    return false;
+  }
+
+  const dayOfMonth = cron.dayOfMonth.has(fields.dayOfMonth);
+  const dayOfWeek = cron.dayOfWeek.has(fields.dayOfWeek);
+  if (cron.anyDayOfMonth || cron.anyDayOfWeek) {
+    return dayOfMonth && dayOfWeek;
+  }
+  return dayOfMonth || dayOfWeek;
+}
+
+/**
+ * Find when a window that covers a moment started
+ * @param {Object} window - Normalized window
+ * @param {number} now - Epoch ms
+ * @returns {Object|null} { start, end } epoch ms
+ */
+function findOccurrence(window, now) {
+  if (window.cron === undefined) {
+    return now >= window.start && now < window.end ? { start: window.start, end: window.end } : null;
+  }
+
+  // Walk back minute by minute to the latest start that still covers now,
+  // skipping the rest of any local hour that can't match
+  let start = Math.floor(now / MINUTE_MS) * MINUTE_MS;
+  while (start > now - window.durationMs) {
+    const fields = localTimeFields(start, window.timezone);
+    if (!cronMatchesHour(window.cron, fields)) {
+      start -= (fields.minute + 1) * MINUTE_MS;
+    } else if (window.cron.minute.has(fields.minute)) {
+      return { start, end: start + window.durationMs };
+    } else {
+      start -= MINUTE_MS;
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the maintenance window in effect at a moment, if any
+ * When several overlap, the one ending last is returned
+ * @param {Array<Object>} windows - Normalized windows
+ * @param {number} now - Epoch ms (default: current time)
+ * @returns {Object|null} { name, startedAt, endsAt } (ISO timestamps)
+ */
+function getActiveWindow(windows, now = Date.now()) {
+  let active = null;
+
+  windows.forEach(window => {
+    const occurrence = findOccurrence(window, now);
+    if (occurrence && (!active || occurrence.end > active.end)) {
+      active = { name: window.name, ...occurrence };
+    }
+  });
+
+  return active && {
+    name: active.name,
+    startedAt: new Date(active.start).toISOString(),
+    endsAt: new Date(active.end).toISOString()
+  };
+}
+
+module.exports = {
+  validateMaintenanceWindow,
+  validateMaintenanceWindows,
+  normalizeMaintenanceWindow,
+  getActiveWindow
+};
@@ -0,0 +1,168 @@
+/**
+ * Prometheus Metrics
+ * Exposes monitoring results in the Prometheus text format at GET /metrics.
+ * Per-site series are labelled with the site's name and URL.
+ */
+
+const client = require('prom-client');
+
+// Response time buckets in seconds
+const RESPONSE_TIME_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Create the metrics registry
+ * Gauges are filled from the current monitoring state on every scrape, counters and the
+ * response time histogram from each background check as it completes
+ * @param {Function} getStates - () => Array of monitoring state objects
+ * @returns {Object} { recordCheck, recordStateChange, contentType, render }
+ */
+function createMetrics(getStates) {
+  const registry = new client.Registry();
+  client.collectDefaultMetrics({ register: registry });
+
+  const siteLabels = ['site', 'url'];
+
+  // Current state, read from monitoringState at scrape time (removed sites disappear)
+  const upGauge = new client.Gauge({
+    name: 'checkupsite_site_up',
+    help: 'Whether the site is UP or DEGRADED (1) or DOWN (0), as of its last confirmed status',
+    labelNames: siteLabels,
+    registers: [registry],
+    collect() {
+      upGauge.reset();
+      degradedGauge.reset();
+      statusCodeGauge.reset();
+      responseTimeGauge.reset();
+      flappingGauge.reset();
+      maintenanceGauge.reset();
+      lastCheckGauge.reset();
+
+      getStates().forEach(state => {
+        const labels = { site: state.name, url: state.url };
+        if (state.lastStatus !== null) {
+          upGauge.set(labels, state.lastStatus === 'DOWN' ? 0 : 1);
+          degradedGauge.set(labels, state.lastStatus === 'DEGRADED' ? 1 : 0);
+        }
+        if (state.lastStatusCode !== null) {
+          statusCodeGauge.set(labels, state.lastStatusCode);
+        }
+        if (typeof state.lastResponseTime === 'number') {
+          responseTimeGauge.set(labels, state.lastResponseTime / 1000);
+        }
+        if (state.lastCheckedAt) {
+          lastCheckGauge.set(labels, Date.parse(state.lastCheckedAt) / 1000);
+        }
+        flappingGauge.set(labels, state.flapping ? 1 : 0);
+        maintenanceGauge.set(labels, state.maintenance ? 1 : 0);
+      });
+    }
+  });
+
+  const degradedGauge = new client.Gauge({
+    name: 'checkupsite_site_degraded',
+    help: 'Whether the site is DEGRADED (1), i.e. slower than its latency warning threshold, or not (0)',
+    labelNames: siteLabels,
+    registers: [registry]
+  });
+
+  const statusCodeGauge = new client.Gauge({
+    name: 'checkupsite_site_status_code',
+    help: 'HTTP status code of the last check',
+    labelNames: siteLabels,
+    registers: [registry]
+  });
+
+  const responseTimeGauge = new client.Gauge({
+    name: 'checkupsite_site_response_time_seconds',
+    help: 'Response time of the last check',
+    labelNames: siteLabels,
+    registers: [registry]
+  });
+
+  const flappingGauge = new client.Gauge({
+    name: 'checkupsite_site_flapping',
+    help: 'Whether the site is currently flapping (1) or not (0)',
+    labelNames: siteLabels,
+    registers: [registry]
+  });
+
+  const maintenanceGauge = new client.Gauge({
+    name: 'checkupsite_site_maintenance',
+    help: 'Whether the site is in a maintenance window (1) or not (0)',
+    labelNames: siteLabels,
+    registers: [registry]
+  });
+
+  const lastCheckGauge = new client.Gauge({
+    name: 'checkupsite_site_last_check_timestamp_seconds',
+    help: 'Unix time of the last check',
+    labelNames: siteLabels,
+    registers: [registry]
+  });
+
+  const checksCounter = new client.Counter({
+    name: 'checkupsite_checks_total',
+    help: 'Background checks run',
+    labelNames: siteLabels,
+    registers: [registry]
+  });
+
+  const failuresCounter = new client.Counter({
+    name: 'checkupsite_check_failures_total',
+    help: 'Background checks that failed, by error type',
+    labelNames: [...siteLabels, 'error_type'],
+    registers: [registry]
+  });
+
+  const stateChangesCounter = new client.Counter({
+    name: 'checkupsite_state_changes_total',
+    help: 'Confirmed status changes, by new status and the error type that caused them',
+    labelNames: [...siteLabels, 'status', 'error_type'],
+    registers: [registry]
+  });
+
+  const responseTimeHistogram = new client.Histogram({
+    name: 'checkupsite_response_time_seconds',
+    help: 'Response times of successful checks',
+    labelNames: siteLabels,
+    buckets: RESPONSE_TIME_BUCKETS,
+    registers: [registry]
+  });
+
+  /**
+   * Count a completed check
+   * @param {Object} site - Site definition
+   * @param {Object} result - Result from checkSite()
+   */
+  function recordCheck(site, result) {
+    const labels = { site: site.name, url: site.url };
+    checksCounter.inc(labels);
+
+    if (result.status === 'DOWN') {
+      failuresCounter.inc({ ...labels, error_type: result.errorType || 'Unknown' });
+    } else if (typeof result.responseTime === 'number') {
+      responseTimeHistogram.observe(labels, result.responseTime / 1000);
+    }
+  }
+
+  /**
+   * Count a confirmed status change
+   * @param {Object} site - Site definition
+   * @param {string} status - New status
+   * @param {string|null} errorType - Error type of the check that confirmed it
+   */
+  function recordStateChange(site, status, errorType) {
+    stateChangesCounter.inc({ site: site.name, url: site.url, status, error_type: errorType || '' });
+  }
+
+  return {
+    recordCheck,
+    recordStateChange,
+    contentType: registry.contentType,
+    render: () => registry.metrics()
+  };
+}
+
+module.exports = {
+  createMetrics
+};
@@ -0,0 +1,204 @@
+/**
+ * Non-HTTP Check Types
+ * TCP port checks (with optional banner match) and DNS record checks.
+ * Results use the same shape as HTTP checks so they flow through monitoring unchanged.
+ */
+
+const net = require('net');
+const dns = require('dns');
+
+const DNS_RECORD_TYPES = ['A', 'AAAA', 'CNAME', 'MX', 'TXT'];
+
+// Longest banner kept in a check result
+const MAX_BANNER_LENGTH = 200;
+
+/**
+ * Build a DOWN result
+ */
+function failure(startTime, error, errorType, extra = {}) {
+  return {
+    status: 'DOWN',
+    statusCode: null,
+    responseTime: Date.now() - startTime,
+    checkedAt: new Date().toISOString(),
+    error,
+    errorType,
+    ...extra
+  };
+}
+
+/**
+ * Test a banner against a site's banner rule: a substring, or { regex, flags }
+ */
+function bannerMatches(banner, rule) {
+  if (typeof rule === 'string') {
+    return banner.includes(rule);
+  }
+  return new RegExp(rule.regex, rule.flags).test(banner);
+}
+
+/**
+ * Check that a TCP port accepts connections, optionally matching the greeting banner
+ * @param {Object} site - { host, port, timeout, banner }
+ * @returns {Promise<Object>} Check result (banner included when one was expected)
+ */
+function checkTcp(site) {
+  const startTime = Date.now();
+  const seconds = site.timeout / 1000;
+
+  return new Promise(resolve => {
+    let banner = '';
+    let connected = false;
+    let settled = false;
+    const socket = net.connect({ host: site.host, port: site.port });
+    const bannerText = () => banner.trim().slice(0, MAX_BANNER_LENGTH);
+
+    const finish = result => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      socket.destroy();
+      resolve(result);
+    };
+
+    const succeed = () => finish({
+      status: 'UP',
+      statusCode: null,
+      responseTime: Date.now() - startTime,
+      checkedAt: new Date().toISOString(),
+      error: null,
+      errorType: null,
+      ...(site.banner ? { banner: bannerText() } : {})
+    });
+
+    const bannerFailure = reason => finish(banner
+      ? failure(startTime, `Banner did not match (got "${bannerText()}")`, 'Banner Mismatch', { banner: bannerText() })
+      : failure(startTime, reason, 'Banner Mismatch'));
+
+    const timer = setTimeout(() => {
+      if (connected) {
+        bannerFailure(`No banner received within ${seconds} seconds`);
+      } else {
+        finish(failure(startTime, `Connection timeout (${seconds} seconds)`, 'Timeout'));
+      }
+    }, site.timeout);
+
+    socket.once('connect', () => {
+      connected = true;
+      if (!site.banner) {
+        succeed();
+      }
+    });
+
+    if (site.banner) {
+      socket.on('data', chunk => {
+        banner += chunk.toString('utf-8');
+        if (bannerMatches(banner, site.banner)) {
+          succeed();
+        }
+      });
+    }
+
+    socket.once('error', error => {
+      if (error.code === 'ECONNREFUSED') {
+        finish(failure(startTime, 'Connection refused', 'Connection Error'));
+      } else if (error.code === 'ENOTFOUND') {
+        finish(failure(startTime, 'Domain not found', 'DNS Error'));
+      } else {
+        finish(failure(startTime, error.message, 'Connection Error'));
+      }
+    });
+
+    socket.once('close', () => {
+      bannerFailure('Connection closed before a banner was received');
+    });
+  });
+}
+
+/**
+ * Normalise a DNS value for comparison (case-insensitive, no trailing dot)
+ */
+function normaliseDnsValue(value) {
+  return String(value).trim().toLowerCase().replace(/\.$/, '');
+}
+
+/**
+ * Resolve records of one type and format them as strings
+ * MX records are reported as "priority exchange", TXT chunks are joined
+ */
+async function resolveRecords(resolver, hostname, recordType) {
+  switch (recordType) {
+    case 'A':
+      return resolver.resolve4(hostname);
+    case 'AAAA':
+      return resolver.resolve6(hostname);
+    case 'CNAME':
+      return resolver.resolveCname(hostname);
+    case 'MX':
+      return (await resolver.resolveMx(hostname))
+        .sort((a, b) => a.priority - b.priority)
+        .map(record => `${record.priority} ${record.exchange}`);
+    case 'TXT':
+      return (await resolver.resolveTxt(hostname)).map(chunks => chunks.join(''));
+    default:
+      throw new Error(`Unsupported record type ${recordType}`);
+  }
+}
+
+/**
+ * Check that a DNS record resolves, optionally to the expected values
+ * @param {Object} site - { hostname, recordType, expected, resolver, timeout }
+ * @returns {Promise<Object>} Check result (records included when resolved)
+ */
+async function checkDns(site) {
+  const startTime = Date.now();
+  const resolver = new dns.promises.Resolver({ timeout: site.timeout, tries: 1 });
+  if (site.resolver) {
+    resolver.setServers([site.resolver]);
+  }
+
+  let records;
+  try {
+    records = await resolveRecords(resolver, site.hostname, site.recordType);
+  } catch (error) {
+    if (error.code === 'ETIMEOUT') {
+      return failure(startTime, `DNS query timeout (${site.timeout / 1000} seconds)`, 'Timeout');
+    }
+    if (error.code === 'ENOTFOUND' || error.code === 'ENODATA') {
+      return failure(startTime, `No ${site.recordType} records for ${site.hostname}`, 'DNS Error', { records: [] });
+    }
+    return failure(startTime, error.message, 'DNS Error');
+  }
+
+  // MX values also match on the exchange alone (without priority)
+  const available = new Set();
+  records.forEach(record => {
+    available.add(normaliseDnsValue(record));
+    if (site.recordType === 'MX') {
+      available.add(normaliseDnsValue(record.split(' ')[1]));
+    }
+  });
+
+  const missing = site.expected.filter(value => !available.has(normaliseDnsValue(value)));
+  if (records.length === 0 || missing.length > 0) {
+    return failure(startTime, records.length === 0
+      ? `No ${site.recordType} records for ${site.hostname}`
+      : `Expected ${site.recordType} ${missing.join(', ')} but got ${records.join(', ')}`, 'DNS Mismatch', { records });
+  }
+
+  return {
+    status: 'UP',
+    statusCode: null,
+    responseTime: Date.now() - startTime,
+    checkedAt: new Date().toISOString(),
+    error: null,
+    errorType: null,
+    records
+  };
+}
+
+module.exports = {
+  DNS_RECORD_TYPES,
+  checkTcp,
+  checkDns
+};
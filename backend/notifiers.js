@@ -0,0 +1,419 @@
+/**
+ * Alert Notifiers
+ * Delivers alerts to the channels configured in notifiers.json: generic JSON webhooks,
+ * Slack, Discord, SMTP email and Telegram. Failed deliveries are retried with backoff.
+ *
+ * notifiers.json: { "channels": [{ name, type, events, default, retries, retryDelay, ...type fields }] }
+ *   name        (required) unique channel name, referenced by a site's "notify" list
+ *   type        webhook | slack | discord | email | telegram
+ *   events      alert kinds sent to the channel: status, reminder (site still DOWN), flapping,
+ *               certificate, report (daily/weekly digests) (default all)
+ *   default     whether sites without a "notify" list alert this channel (default true)
+ *   retries     delivery attempts after the first one fails (default 3)
+ *   retryDelay  delay before the first retry, doubled for each further one (default "2s")
+ *
+ * Type fields (string values may reference environment variables as ${VAR_NAME}):
+ *   webhook     url, method (POST | PUT, default POST), headers, payload (JSON template where
+ *               "{{field}}" is replaced by alert fields; default: the alert itself)
+ *   slack       webhookUrl (incoming webhook)
+ *   discord     webhookUrl
+ *   email       smtp: { host, port, secure, user, pass }, from, to (address or list)
+ *   telegram    botToken, chatId, apiBase (default https://api.telegram.org),
+ *               commands (bot commands from authorised chats, see telegramBot.js):
+ *               { mode: "polling" | "webhook", allowedChatIds: [...], webhookSecret } or true
+ *
+ * Without notifiers.json, TELEGRAM_BOT_TOKEN and TELEGRAM_CHAT_ID still enable a Telegram channel.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+const { expandEnvVars, findUnsetEnvVars, isPlainObject, parseDuration } = require('./utils');
+
+const NOTIFIERS_FILE = process.env.NOTIFIERS_FILE || path.join(__dirname, 'notifiers.json');
+const CHANNEL_TYPES = ['webhook', 'slack', 'discord', 'email', 'telegram'];
+const ALERT_EVENTS = ['status', 'reminder', 'flapping', 'certificate', 'report'];
+const DEFAULT_TELEGRAM_API_BASE = 'https://api.telegram.org';
+const TELEGRAM_COMMAND_MODES = ['polling', 'webhook'];
+
+const CHANNEL_DEFAULTS = {
+  default: true,
+  retries: 3,
+  retryDelay: '2s'
+};
+
+// Longest backoff between two delivery attempts
+const MAX_RETRY_DELAY_MS = 5 * 60 * 1000;
+
+// Accent colours for Slack and Discord messages, by alert severity
+const SEVERITY_COLORS = {
+  ok: '#10b981',
+  warning: '#f59e0b',
+  critical: '#ef4444'
+};
+
+let channels = [];
+let lastConfigText = null;
+
+/**
+ * Validate a single channel definition
+ * @param {Object} channel - Raw entry from notifiers.json
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+function validateChannel(channel) {
+  if (!isPlainObject(channel)) {
+    return ['must be an object'];
+  }
+
+  const errors = [];
+  if (typeof channel.name !== 'string' || !channel.name.trim()) {
+    errors.push('"name" is required');
+  }
+  if (!CHANNEL_TYPES.includes(channel.type)) {
+    errors.push(`"type" must be one of ${CHANNEL_TYPES.join(', ')}`);
+  }
+  if (channel.events !== undefined &&
+      (!Array.isArray(channel.events) || channel.events.some(event => !ALERT_EVENTS.includes(event)))) {
+    errors.push(`"events" must be a list of ${ALERT_EVENTS.join(', ')}`);
+  }
+  if (channel.retries !== undefined && (!Number.isInteger(channel.retries) || channel.retries < 0 || channel.retries > 10)) {
+    errors.push('"retries" must be an integer between 0 and 10');
+  }
+  if (channel.retryDelay !== undefined && parseDuration(channel.retryDelay) === null) {
+    errors.push('"retryDelay" must be a duration such as "2s"');
+  }
+
+  const isUrl = value => typeof value === 'string' && /^https?:\/\//.test(value);
+  const isFilled = value => typeof value === 'string' && value.trim() !== '';
+  switch (channel.type) {
+    case 'webhook':
+      if (!isUrl(channel.url)) errors.push('"url" must be an http(s) URL');
+      if (channel.method !== undefined && !['POST', 'PUT'].includes(channel.method)) errors.push('"method" must be POST or PUT');
+      if (channel.headers !== undefined && !isPlainObject(channel.headers)) errors.push('"headers" must be an object');
+      break;
+    case 'slack':
+    case 'discord':
+      if (!isUrl(channel.webhookUrl)) errors.push('"webhookUrl" must be an http(s) URL');
+      break;
+    case 'email':
+      if (!isPlainObject(channel.smtp) || !isFilled(channel.smtp.host)) errors.push('"smtp.host" is required');
+      if (!isFilled(channel.from)) errors.push('"from" is required');
+      if (!isFilled(channel.to) && !(Array.isArray(channel.to) && channel.to.length > 0 && channel.to.every(isFilled))) {
+        errors.push('"to" must be an address or a list of addresses');
+      }
+      break;
+    case 'telegram':
+      if (!isFilled(channel.botToken) || !(isFilled(channel.chatId) || Number.isInteger(channel.chatId))) {
+        errors.push('"botToken" and "chatId" are required');
+      }
+      if (channel.apiBase !== undefined && !isUrl(channel.apiBase)) errors.push('"apiBase" must be an http(s) URL');
+      if (channel.commands !== undefined) errors.push(...validateTelegramCommands(channel.commands));
+      break;
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a telegram channel's "commands" settings
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+function validateTelegramCommands(commands) {
+  if (commands === true || commands === false) {
+    return [];
+  }
+  if (!isPlainObject(commands)) {
+    return ['"commands" must be true, false or an object'];
+  }
+
+  const errors = [];
+  const mode = commands.mode || 'polling';
+  if (!TELEGRAM_COMMAND_MODES.includes(mode)) {
+    errors.push(`"commands.mode" must be one of ${TELEGRAM_COMMAND_MODES.join(', ')}`);
+  }
+  if (commands.allowedChatIds !== undefined &&
+      (!Array.isArray(commands.allowedChatIds) ||
+        commands.allowedChatIds.some(id => typeof id !== 'string' && !Number.isInteger(id)))) {
+    errors.push('"commands.allowedChatIds" must be a list of chat IDs');
+  }
+  if (mode === 'webhook' && (typeof commands.webhookSecret !== 'string' || !commands.webhookSecret.trim())) {
+    errors.push('"commands.webhookSecret" is required for webhook mode');
+  }
+  return errors;
+}
+
+/**
+ * Apply defaults to a validated channel (${VAR} references already expanded)
+ */
+function normalizeChannel(channel) {
+  const normalized = { ...CHANNEL_DEFAULTS, events: ALERT_EVENTS, ...channel };
+  normalized.retryDelay = parseDuration(normalized.retryDelay);
+  if (normalized.type === 'telegram') {
+    normalized.apiBase = normalized.apiBase || DEFAULT_TELEGRAM_API_BASE;
+    normalized.commands = normalizeTelegramCommands(normalized);
+  }
+  if (normalized.type === 'email') {
+    normalized.transport = nodemailer.createTransport({
+      host: normalized.smtp.host,
+      port: normalized.smtp.port || 587,
+      secure: Boolean(normalized.smtp.secure),
+      auth: normalized.smtp.user ? { user: normalized.smtp.user, pass: normalized.smtp.pass } : undefined
+    });
+  }
+  return normalized;
+}
+
+/**
+ * Fill in the defaults of a telegram channel's "commands" settings
+ * @returns {Object|null} { mode, allowedChatIds (strings), webhookSecret }, or null when disabled
+ */
+function normalizeTelegramCommands(channel) {
+  if (!channel.commands) {
+    return null;
+  }
+
+  const commands = channel.commands === true ? {} : channel.commands;
+  return {
+    mode: commands.mode || 'polling',
+    // Only the alert chat may send commands unless more chats are listed
+    allowedChatIds: (commands.allowedChatIds || [channel.chatId]).map(String),
+    webhookSecret: commands.webhookSecret || null
+  };
+}
+
+/**
+ * Telegram channel from TELEGRAM_BOT_TOKEN/TELEGRAM_CHAT_ID, used when notifiers.json is absent
+ * TELEGRAM_COMMANDS=polling (or webhook, with TELEGRAM_WEBHOOK_SECRET) enables bot commands
+ */
+function legacyTelegramChannels() {
+  if (!process.env.TELEGRAM_BOT_TOKEN || !process.env.TELEGRAM_CHAT_ID) {
+    return [];
+  }
+  return [normalizeChannel({
+    name: 'telegram',
+    type: 'telegram',
+    botToken: process.env.TELEGRAM_BOT_TOKEN,
+    chatId: process.env.TELEGRAM_CHAT_ID,
+    apiBase: process.env.TELEGRAM_API_BASE,
+    commands: TELEGRAM_COMMAND_MODES.includes(process.env.TELEGRAM_COMMANDS)
+      ? { mode: process.env.TELEGRAM_COMMANDS, webhookSecret: process.env.TELEGRAM_WEBHOOK_SECRET }
+      : undefined
+  })];
+}
+
+/**
+ * Load notifiers.json (re-read only when it changed); invalid channels are logged and skipped
+ * @returns {Array} Active channels
+ */
+function loadNotifiers() {
+  let text = '';
+  try {
+    text = fs.existsSync(NOTIFIERS_FILE) ? fs.readFileSync(NOTIFIERS_FILE, 'utf-8') : '';
+  } catch (error) {
+    console.error('⚠️ Could not read notifiers.json:', error.message);
+    return channels;
+  }
+
+  if (text === lastConfigText) {
+    return channels;
+  }
+  lastConfigText = text;
+
+  if (!text) {
+    channels = legacyTelegramChannels();
+    console.log(channels.length > 0 ? '📣 Alerts: Telegram (from environment)' : '📣 Alerts: no channels configured');
+    return channels;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    console.error('⚠️ notifiers.json is not valid JSON, keeping previous channels:', error.message);
+    return channels;
+  }
+
+  const loaded = [];
+  const names = new Set();
+  (Array.isArray(parsed.channels) ? parsed.channels : []).forEach((rawChannel, index) => {
+    // Expanded first so "${SLACK_WEBHOOK_URL}" is validated as the URL it stands for
+    const unsetVars = findUnsetEnvVars(rawChannel);
+    const channel = expandEnvVars(rawChannel);
+    const errors = unsetVars.length > 0
+      ? [`unset environment variable${unsetVars.length === 1 ? '' : 's'} ${unsetVars.join(', ')}`]
+      : validateChannel(channel);
+    if (errors.length === 0 && names.has(channel.name)) {
+      errors.push('duplicate channel name');
+    }
+    if (errors.length > 0) {
+      console.error(`⚠️ notifiers.json channel #${index + 1} (${channel && channel.name || 'unnamed'}) skipped: ${errors.join('; ')}`);
+      return;
+    }
+    names.add(channel.name);
+    loaded.push(normalizeChannel(channel));
+  });
+
+  channels = loaded;
+  console.log(`📣 Alerts: ${channels.length > 0 ? channels.map(channel => `${channel.name} (${channel.type})`).join(', ') : 'no channels configured'}`);
+  return channels;
+}
+
+/**
+ * Get the names of all active channels
+ * @returns {Array<string>}
+ */
+function getChannelNames() {
+  return channels.map(channel => channel.name);
+}
+
+/**
+ * Get the telegram channel that accepts bot commands, if any (the first one with "commands")
+ * @returns {Object|null} Normalized channel
+ */
+function getCommandChannel() {
+  return channels.find(channel => channel.type === 'telegram' && channel.commands) || null;
+}
+
+/**
+ * Replace "{{field}}" placeholders in a payload template with alert fields
+ * A string that is exactly one placeholder keeps the field's type (numbers stay numbers)
+ */
+function renderTemplate(template, alert) {
+  if (typeof template === 'string') {
+    const whole = template.match(/^\{\{\s*(\w+)\s*\}\}$/);
+    if (whole) {
+      return alert[whole[1]] ?? null;
+    }
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, field) => alert[field] ?? '');
+  }
+  if (Array.isArray(template)) {
+    return template.map(item => renderTemplate(item, alert));
+  }
+  if (isPlainObject(template)) {
+    const rendered = {};
+    Object.keys(template).forEach(key => {
+      rendered[key] = renderTemplate(template[key], alert);
+    });
+    return rendered;
+  }
+  return template;
+}
+
+/**
+ * Deliver one alert to one channel (throws on failure)
+ * @param {Object} channel - Normalized channel
+ * @param {Object} alert - { event, severity, title, message, siteName, url, ... }
+ */
+async function deliver(channel, alert) {
+  const text = `${alert.title}\n${alert.message}`;
+  const options = { timeout: 10000 };
+
+  switch (channel.type) {
+    case 'webhook':
+      await axios.request({
+        ...options,
+        method: channel.method || 'POST',
+        url: channel.url,
+        headers: channel.headers,
+        data: channel.payload !== undefined ? renderTemplate(channel.payload, alert) : alert
+      });
+      return;
+    case 'slack':
+      await axios.post(channel.webhookUrl, {
+        text: alert.title,
+        attachments: [{ color: SEVERITY_COLORS[alert.severity], text: alert.message }]
+      }, options);
+      return;
+    case 'discord':
+      await axios.post(channel.webhookUrl, {
+        embeds: [{
+          title: alert.title,
+          description: alert.message,
+          color: parseInt(SEVERITY_COLORS[alert.severity].slice(1), 16)
+        }]
+      }, options);
+      return;
+    case 'email':
+      await channel.transport.sendMail({
+        from: channel.from,
+        to: channel.to,
+        subject: `[CheckUpSite] ${alert.title}`,
+        text
+      });
+      return;
+    case 'telegram':
+      await axios.post(`${channel.apiBase}/bot${channel.botToken}/sendMessage`, {
+        chat_id: channel.chatId,
+        text,
+        disable_web_page_preview: true
+      }, options);
+      return;
+  }
+}
+
+/**
+ * Deliver an alert, retrying with exponential backoff
+ */
+async function deliverWithRetry(channel, alert) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      await deliver(channel, alert);
+      return true;
+    } catch (error) {
+      if (attempt >= channel.retries) {
+        console.error(`⚠️ Alert to ${channel.name} failed after ${attempt + 1} attempts:`, error.message);
+        return false;
+      }
+      const delay = Math.min(channel.retryDelay * 2 ** attempt, MAX_RETRY_DELAY_MS);
+      console.warn(`⚠️ Alert to ${channel.name} failed (${error.message}), retrying in ${Math.round(delay / 1000)}s`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Pick the channels an alert for a site goes to
+ * @param {Object} site - Site definition (notify: optional list of channel names)
+ * @param {string} event - Alert kind
+ * @param {Object} routing - { only: restrict to these channel names (overrides the site's list),
+ *   extra: channel names to add, e.g. escalation channels }
+ * @returns {Array} Channels
+ */
+function routeAlert(site, event, { only, extra = [] } = {}) {
+  const names = only || (site && site.notify);
+  return channels.filter(channel =>
+    channel.events.includes(event) &&
+    ((names ? names.includes(channel.name) : channel.default) || extra.includes(channel.name))
+  );
+}
+
+/**
+ * Send an alert to the site's channels (non-blocking; failures are logged, never thrown)
+ * @param {Object} site - Site definition
+ * @param {Object} alert - { event, severity: ok | warning | critical, title, message, ...fields }
+ * @param {Object} [routing] - { only, extra } channel names, see routeAlert()
+ * @returns {Promise<Array>} Per-channel results: { channel, delivered }
+ */
+async function notify(site, alert, routing) {
+  const targets = routeAlert(site, alert.event, routing);
+  const payload = {
+    siteName: site ? site.name : null,
+    url: site ? site.url : null,
+    sentAt: new Date().toISOString(),
+    ...alert
+  };
+
+  return Promise.all(targets.map(async channel => ({
+    channel: channel.name,
+    delivered: await deliverWithRetry(channel, payload)
+  })));
+}
+
+module.exports = {
+  ALERT_EVENTS,
+  loadNotifiers,
+  getChannelNames,
+  getCommandChannel,
+  notify
+};
@@ -0,0 +1,67 @@
+/**
+ * Request Rate Limiting
+ * Sliding-window limits per client: the API key name when one was used, otherwise the
+ * client IP (set TRUST_PROXY when running behind a proxy so the real IP is used)
+ */
+
+/**
+ * Identify the client a request counts against
+ */
+function clientKey(req) {
+  return req.apiKey && req.apiKey.name !== 'anonymous' ? `key:${req.apiKey.name}` : `ip:${req.ip}`;
+}
+
+/**
+ * Create middleware allowing each client `limit` requests per `windowMs`
+ * Limited requests get 429 with Retry-After; every response carries RateLimit-* headers
+ * @param {Object} options - { limit, windowMs, description } (description is used in the message)
+ * @returns {Function} Express middleware
+ */
+function createRateLimiter({ limit, windowMs, description }) {
+  // client → request times (epoch ms) inside the current window, oldest first
+  const hits = new Map();
+
+  // Forget clients that have been idle for a whole window
+  const cleanup = setInterval(() => {
+    const cutoff = Date.now() - windowMs;
+    hits.forEach((times, key) => {
+      if (times[times.length - 1] <= cutoff) hits.delete(key);
+    });
+  }, windowMs);
+  cleanup.unref();
+
+  return (req, res, next) => {
+    const now = Date.now();
+    const key = clientKey(req);
+    const times = (hits.get(key) || []).filter(time => time > now - windowMs);
+    const resetSeconds = times.length > 0 ? Math.ceil((times[0] + windowMs - now) / 1000) : Math.ceil(windowMs / 1000);
+
+    res.set('RateLimit-Limit', String(limit));
+
+    if (times.length >= limit) {
+      hits.set(key, times);
+      res.set({
+        'RateLimit-Remaining': '0',
+        'RateLimit-Reset': String(resetSeconds),
+        'Retry-After': String(resetSeconds)
+      });
+      return res.status(429).json({
+        success: false,
+        message: `Too many ${description}; try again in ${resetSeconds}s`,
+        retryAfter: resetSeconds
+      });
+    }
+
+    times.push(now);
+    hits.set(key, times);
+    res.set({
+      'RateLimit-Remaining': String(limit - times.length),
+      'RateLimit-Reset': String(resetSeconds)
+    });
+    next();
+  };
+}
+
+module.exports = {
+  createRateLimiter
+};
@@ -0,0 +1,212 @@
+/**
+ * Redirect Chains
+ * HTTP checks follow redirects one hop at a time so every hop (URL, status code, timing) is
+ * recorded and the chain can be held to a site's "redirects" policy:
+ *
+ *   { "expectedUrl": "https://www.example.com/",     final URL must be exactly this
+ *     "expectedHost": "www.example.com",             final host must be this
+ *     "allowedHosts": ["example.com", "*.example.com"],  every redirect must stay on these hosts
+ *     "allowDowngrade": false }                      whether https -> http redirects are allowed
+ *
+ * Every field is optional. Redirect loops and https -> http downgrades always fail the check,
+ * the latter unless allowDowngrade is set.
+ */
+
+const axios = require('axios');
+const { isPlainObject } = require('./utils');
+
+const HOST_PATTERN = /^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*$/i;
+
+// Headers that carry credentials and are only sent to the URL they were configured for
+const CREDENTIAL_HEADERS = ['authorization', 'cookie', 'proxy-authorization'];
+
+/**
+ * Validate a site's "redirects" policy
+ * @param {*} policy - Raw "redirects" value
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+function validateRedirectPolicy(policy) {
+  if (!isPlainObject(policy)) {
+    return ['"redirects" must be an object'];
+  }
+
+  const errors = [];
+  const { expectedUrl, expectedHost, allowedHosts, allowDowngrade } = policy;
+
+  if (expectedUrl !== undefined) {
+    let protocol = null;
+    try {
+      protocol = new URL(expectedUrl).protocol;
+    } catch (error) {
+      // reported below
+    }
+    if (protocol !== 'http:' && protocol !== 'https:') {
+      errors.push('"redirects.expectedUrl" must be an absolute http(s) URL');
+    }
+  }
+  if (expectedHost !== undefined && (typeof expectedHost !== 'string' || !HOST_PATTERN.test(expectedHost) || expectedHost.startsWith('*'))) {
+    errors.push('"redirects.expectedHost" must be a host name such as "www.example.com"');
+  }
+  if (allowedHosts !== undefined &&
+      (!Array.isArray(allowedHosts) || allowedHosts.length === 0 ||
+        allowedHosts.some(host => typeof host !== 'string' || !HOST_PATTERN.test(host)))) {
+    errors.push('"redirects.allowedHosts" must be a list of host names ("*.example.com" matches subdomains)');
+  }
+  if (allowDowngrade !== undefined && typeof allowDowngrade !== 'boolean') {
+    errors.push('"redirects.allowDowngrade" must be true or false');
+  }
+
+  return errors;
+}
+
+/**
+ * Fill in the defaults of a valid (or missing) "redirects" policy
+ * @param {Object|undefined} policy - Validated policy
+ * @returns {Object} { expectedUrl, expectedHost, allowedHosts, allowDowngrade }
+ */
+function normalizeRedirectPolicy(policy = {}) {
+  return {
+    expectedUrl: policy.expectedUrl ? new URL(policy.expectedUrl).href : null,
+    expectedHost: policy.expectedHost ? policy.expectedHost.toLowerCase() : null,
+    allowedHosts: policy.allowedHosts ? policy.allowedHosts.map(host => host.toLowerCase()) : null,
+    allowDowngrade: policy.allowDowngrade === true
+  };
+}
+
+/**
+ * Whether a host matches an allowedHosts entry ("*.example.com" matches subdomains only)
+ */
+function hostMatches(host, pattern) {
+  return pattern.startsWith('*.') ? host.endsWith(pattern.slice(1)) : host === pattern;
+}
+
+/**
+ * Check a redirect from one URL to the next against the policy
+ * @param {Array<Object>} chain - Hops so far
+ * @returns {Object|null} { error, errorType } when the redirect isn't allowed
+ */
+function checkRedirect(policy, from, to, chain) {
+  if (chain.some(hop => hop.url === to.href)) {
+    return { error: `Redirect loop: ${from.href} redirects back to ${to.href}`, errorType: 'Redirect Loop' };
+  }
+  if (from.protocol === 'https:' && to.protocol === 'http:' && !policy.allowDowngrade) {
+    return { error: `Redirect from HTTPS to HTTP: ${from.href} -> ${to.href}`, errorType: 'Protocol Downgrade' };
+  }
+  if (to.protocol !== 'http:' && to.protocol !== 'https:') {
+    return { error: `Redirect to unsupported URL ${to.href}`, errorType: 'Unexpected Redirect' };
+  }
+  if (policy.allowedHosts && !policy.allowedHosts.some(pattern => hostMatches(to.hostname, pattern))) {
+    return { error: `Redirected to ${to.hostname}, which is not an allowed host`, errorType: 'Unexpected Redirect' };
+  }
+  return null;
+}
+
+/**
+ * Check where the chain ended against the policy's expected final URL and host
+ * @returns {Object|null} { error, errorType } when it ended somewhere else
+ */
+function checkFinalUrl(policy, finalUrl) {
+  if (policy.expectedUrl && finalUrl.href !== policy.expectedUrl) {
+    return { error: `Ended at ${finalUrl.href} instead of ${policy.expectedUrl}`, errorType: 'Unexpected Redirect' };
+  }
+  if (policy.expectedHost && finalUrl.hostname !== policy.expectedHost) {
+    return { error: `Ended on ${finalUrl.hostname} instead of ${policy.expectedHost}`, errorType: 'Unexpected Redirect' };
+  }
+  return null;
+}
+
+/**
+ * Headers for a hop: credentials are dropped once a redirect leaves the original protocol and
+ * host (including port), as browsers and follow-redirects do
+ * @param {Object} headers - Configured request headers
+ * @param {URL} origin - URL the request was configured for
+ * @param {URL} url - URL of this hop
+ * @returns {Object}
+ */
+function headersForHop(headers = {}, origin, url) {
+  if (url.protocol === origin.protocol && url.host === origin.host) {
+    return headers;
+  }
+  const kept = {};
+  Object.keys(headers).forEach(name => {
+    if (!CREDENTIAL_HEADERS.includes(name.toLowerCase())) {
+      kept[name] = headers[name];
+    }
+  });
+  return kept;
+}
+
+/**
+ * Send a request and follow its redirects by hand, recording and checking every hop
+ * 303 (and, as browsers do, 301/302 after a POST) redirects continue as GET without the body.
+ * Authorization, Cookie and Proxy-Authorization headers are not sent to other hosts.
+ * @param {Object} request - axios request config (url, method, data, headers, agents, timeout, ...)
+ * @param {Object} options - { followRedirects, maxRedirects, policy (normalized), jar (optional
+ *   cookie jar with header(url) and store(url, setCookieHeaders)) }
+ * @returns {Promise<Object>} { response, url, chain, problem } where chain lists
+ *   { url, statusCode, responseTime } for each request made and problem is { error, errorType }
+ *   when the chain broke the policy (response is then the last one received)
+ */
+async function requestWithRedirects(request, { followRedirects, maxRedirects, policy, jar = null }) {
+  const origin = new URL(request.url);
+  let url = origin;
+  let { method, data } = request;
+  const chain = [];
+
+  for (;;) {
+    const cookie = jar && jar.header(url.href);
+    const headers = headersForHop(request.headers, origin, url);
+    const startTime = Date.now();
+    const response = await axios.request({
+      ...request,
+      url: url.href,
+      method,
+      data,
+      maxRedirects: 0,
+      validateStatus: () => true,
+      headers: cookie ? { ...headers, Cookie: cookie } : headers
+    });
+    chain.push({ url: url.href, statusCode: response.status, responseTime: Date.now() - startTime });
+    if (jar) {
+      jar.store(url.href, response.headers['set-cookie']);
+    }
+
+    const location = response.headers.location;
+    const isRedirect = response.status >= 300 && response.status < 400 && location;
+    // maxRedirects 0 checks the redirect response itself, like followRedirects: false
+    if (!isRedirect || !followRedirects || maxRedirects === 0) {
+      return { response, url: url.href, chain, problem: checkFinalUrl(policy, url) };
+    }
+    if (chain.length > maxRedirects) {
+      return {
+        response,
+        url: url.href,
+        chain,
+        problem: { error: `More than ${maxRedirects} redirects`, errorType: 'Too Many Redirects' }
+      };
+    }
+
+    let next;
+    try {
+      next = new URL(location, url);
+    } catch (error) {
+      return { response, url: url.href, chain, problem: { error: `Invalid redirect location "${location}"`, errorType: 'Unexpected Redirect' } };
+    }
+    const problem = checkRedirect(policy, url, next, chain);
+    if (problem) {
+      return { response, url: url.href, chain, problem };
+    }
+
+    if (response.status === 303 || ((response.status === 301 || response.status === 302) && method === 'POST')) {
+      method = 'GET';
+      data = undefined;
+    }
+    url = next;
+  }
+}
+
+module.exports = {
+  validateRedirectPolicy,
+  normalizeRedirectPolicy,
+  requestWithRedirects
+};
@@ -0,0 +1,216 @@
+/**
+ * Digest Reports
+ * Daily and weekly summaries of every site over the previous calendar day or week (Monday to
+ * Sunday) in the report timezone: uptime, incidents, downtime, the slowest sites and
+ * certificates that need attention. Sent through the alert channels on a schedule (see
+ * setupAutomaticMonitoring in server.js) and served by GET /api/reports/:period.
+ */
+
+const { getHistory } = require('./history');
+const { computeSla, combinedAvailability } = require('./sla');
+const { listIncidents } = require('./incidents');
+const { describeCertificateProblem } = require('./tls');
+const { formatDuration } = require('./utils');
+
+const REPORT_PERIODS = ['daily', 'weekly'];
+
+// Sites listed under "slowest"
+const SLOWEST_COUNT = 5;
+
+/**
+ * Calendar fields of a moment as seen in a timezone
+ * @returns {Object} { year, month (1-12), day, hour, minute, second }
+ */
+function zonedParts(time, timezone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(new Date(time)).forEach(({ type, value }) => {
+    parts[type] = Number(value);
+  });
+  return parts;
+}
+
+/**
+ * Start of a calendar day in a timezone (day may overflow, e.g. 0 is the last day of the
+ * previous month)
+ * @returns {number} Epoch ms
+ */
+function zonedMidnight(year, month, day, timezone) {
+  const wallClock = Date.UTC(year, month - 1, day);
+  // Offset is read at the first guess and again at the result, so DST changes land correctly
+  let time = wallClock;
+  for (let pass = 0; pass < 2; pass++) {
+    const parts = zonedParts(time, timezone);
+    const offset = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) -
+      Math.floor(time / 1000) * 1000;
+    time = wallClock - offset;
+  }
+  return time;
+}
+
+/**
+ * The previous calendar day, or the previous Monday-to-Sunday week, before a moment
+ * @param {string} period - 'daily' or 'weekly'
+ * @param {string} timezone - IANA timezone the calendar is read in
+ * @param {number} now - Epoch ms
+ * @returns {Object} { from, to } epoch ms (to is exclusive: midnight at the end of the period)
+ */
+function reportWindow(period, timezone, now) {
+  const { year, month, day } = zonedParts(now, timezone);
+  if (period === 'daily') {
+    return { from: zonedMidnight(year, month, day - 1, timezone), to: zonedMidnight(year, month, day, timezone) };
+  }
+  const daysSinceMonday = (new Date(Date.UTC(year, month - 1, day)).getUTCDay() + 6) % 7;
+  return {
+    from: zonedMidnight(year, month, day - daysSinceMonday - 7, timezone),
+    to: zonedMidnight(year, month, day - daysSinceMonday, timezone)
+  };
+}
+
+/**
+ * Build a report for the last full day or week
+ * @param {string} period - 'daily' or 'weekly'
+ * @param {Object} options
+ * @param {Array<Object>} options.sites - { name, url, group, certificate (latest inspectCertificate()
+ *   result or null), warningDays } for each monitored site
+ * @param {string} options.timezone - IANA timezone whose calendar days the period follows
+ * @param {number} [options.now] - When the report is built (epoch ms)
+ * @returns {Object} { period, timezone, from, to, summary, sites, slowest, certificates }
+ */
+function buildReport(period, { sites, timezone, now = Date.now() }) {
+  const { from, to } = reportWindow(period, timezone, now);
+  const incidents = listIncidents().filter(incident =>
+    Date.parse(incident.startedAt) < to && (!incident.endedAt || Date.parse(incident.endedAt) >= from));
+
+  const stats = [];
+  const siteReports = sites.map(site => {
+    const sla = computeSla(getHistory(site.name, { from, to }), from, to);
+    stats.push(sla);
+    return {
+      name: site.name,
+      url: site.url,
+      group: site.group || null,
+      availability: sla.availability,
+      checks: sla.checks,
+      incidents: incidents.filter(incident => incident.siteName === site.name).length,
+      downtimeMs: sla.downtimeMs,
+      responseTime: sla.responseTime
+    };
+  });
+
+  const slowest = siteReports
+    .filter(site => site.responseTime.avg !== null)
+    .sort((a, b) => b.responseTime.avg - a.responseTime.avg)
+    .slice(0, SLOWEST_COUNT)
+    .map(site => ({ name: site.name, avg: site.responseTime.avg, p95: site.responseTime.p95 }));
+
+  // Certificates that are invalid or within the site's furthest warning threshold
+  const certificates = sites
+    .filter(site => site.certificate)
+    .map(site => ({ site, problem: describeCertificateProblem(site.certificate) }))
+    .filter(({ site, problem }) => problem || site.certificate.daysToExpiry <= Math.max(0, ...site.warningDays))
+    .sort((a, b) => a.site.certificate.daysToExpiry - b.site.certificate.daysToExpiry)
+    .map(({ site, problem }) => ({
+      name: site.name,
+      validTo: site.certificate.validTo,
+      daysToExpiry: site.certificate.daysToExpiry,
+      problem
+    }));
+
+  return {
+    period,
+    timezone,
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString(),
+    summary: {
+      sites: sites.length,
+      availability: combinedAvailability(stats),
+      incidents: incidents.filter(incident => sites.some(site => site.name === incident.siteName)).length,
+      downtimeMs: stats.reduce((sum, sla) => sum + sla.downtimeMs, 0),
+      checks: stats.reduce((sum, sla) => sum + sla.checks, 0)
+    },
+    sites: siteReports,
+    slowest,
+    certificates
+  };
+}
+
+/**
+ * "1 incident", "3 incidents"
+ */
+function plural(count, noun) {
+  return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Format a day in the report's timezone, e.g. "Sun, 18 Oct 2026"
+ */
+function formatReportDate(time, timezone) {
+  return new Intl.DateTimeFormat('en-GB', { timeZone: timezone, weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' })
+    .format(new Date(time));
+}
+
+/**
+ * Turn a report into an alert for the notification channels
+ * @param {Object} report - Result of buildReport()
+ * @returns {Object} { title, message, severity }
+ */
+function formatReportAlert(report) {
+  const { summary, timezone } = report;
+  const percent = value => (value === null ? 'no data' : `${value.toFixed(2)}%`);
+  const label = report.period === 'daily' ? 'Daily' : 'Weekly';
+  // "to" is the midnight that ends the period, so the last day starts just before it
+  const lastDay = formatReportDate(Date.parse(report.to) - 1, timezone);
+  const days = report.period === 'daily' ? lastDay : `${formatReportDate(report.from, timezone)} – ${lastDay}`;
+
+  const lines = [
+    `Period: ${days} (${timezone})`,
+    `Uptime: ${percent(summary.availability)} across ${plural(summary.sites, 'site')}, ` +
+      `${plural(summary.incidents, 'incident')}, ${formatDuration(summary.downtimeMs)} downtime`,
+    '',
+    'Sites:'
+  ];
+  report.sites.forEach(site => {
+    if (site.availability === null) {
+      lines.push(`⚪ ${site.name}: no data`);
+    } else if (site.downtimeMs === 0 && site.incidents === 0) {
+      lines.push(`✅ ${site.name}: ${percent(site.availability)}`);
+    } else {
+      lines.push(`⚠️ ${site.name}: ${percent(site.availability)}, ${plural(site.incidents, 'incident')}, ${formatDuration(site.downtimeMs)} down`);
+    }
+  });
+
+  if (report.slowest.length > 0) {
+    lines.push('', 'Slowest (avg / p95):');
+    report.slowest.forEach((site, index) => {
+      lines.push(`${index + 1}. ${site.name}: ${site.avg}ms / ${site.p95}ms`);
+    });
+  }
+
+  if (report.certificates.length > 0) {
+    lines.push('', 'Certificates:');
+    report.certificates.forEach(certificate => {
+      lines.push(`🔐 ${certificate.name}: ${certificate.problem || `expires in ${certificate.daysToExpiry} days`} (${certificate.validTo.slice(0, 10)})`);
+    });
+  }
+
+  return {
+    title: `📊 ${label} report: ${percent(summary.availability)} uptime, ${plural(summary.incidents, 'incident')}`,
+    message: lines.join('\n'),
+    severity: summary.incidents > 0 || report.certificates.length > 0 ? 'warning' : 'ok'
+  };
+}
+
+module.exports = {
+  REPORT_PERIODS,
+  buildReport,
+  formatReportAlert
+};
@@ -0,0 +1,127 @@
+/**
+ * Check Scheduler
+ * Runs each site's check on its own interval. Sites are staggered so they don't all fire at
+ * once, and a site is never checked again while its previous check is still running.
+ */
+
+// New sites are spread over at most this window (or their interval, if shorter)
+const STAGGER_WINDOW_MS = 30 * 1000;
+
+/**
+ * Create a scheduler that calls runCheck(site) for every synced site on its interval
+ * @param {Function} runCheck - async (site) => void; errors are logged, not thrown
+ * @returns {Object} { sync, checkSoon, getNextCheckAt, stop }
+ */
+function createScheduler(runCheck) {
+  // siteName → { site, timer, nextCheckAt, startedAt, running, soonDelay }
+  const entries = new Map();
+
+  function schedule(entry, delay) {
+    clearTimeout(entry.timer);
+    entry.nextCheckAt = Date.now() + delay;
+    entry.timer = setTimeout(() => run(entry), delay);
+  }
+
+  async function run(entry) {
+    entry.timer = null;
+    entry.nextCheckAt = null;
+    entry.running = true;
+    entry.startedAt = Date.now();
+
+    try {
+      await runCheck(entry.site);
+    } catch (error) {
+      console.error(`❌ Error checking ${entry.site.name}:`, error.message);
+    }
+
+    entry.running = false;
+
+    // The site may have been removed while its check was running
+    if (entries.get(entry.site.name) === entry) {
+      // Intervals are measured start-to-start so staggered sites keep their spacing
+      const elapsed = Date.now() - entry.startedAt;
+      const regularDelay = Math.max(0, entry.site.interval - elapsed);
+      schedule(entry, entry.soonDelay !== null ? Math.min(entry.soonDelay, regularDelay) : regularDelay);
+      entry.soonDelay = null;
+    }
+  }
+
+  /**
+   * Bring the schedule in line with the current site list
+   * New sites are staggered, removed sites are dropped, changed intervals apply immediately
+   * @param {Array} sites - Site definitions with an interval (ms)
+   */
+  function sync(sites) {
+    const names = new Set(sites.map(site => site.name));
+
+    entries.forEach((entry, name) => {
+      if (!names.has(name)) {
+        clearTimeout(entry.timer);
+        entries.delete(name);
+      }
+    });
+
+    const added = [];
+    sites.forEach(site => {
+      const entry = entries.get(site.name);
+      if (!entry) {
+        added.push(site);
+        return;
+      }
+
+      const intervalChanged = entry.site.interval !== site.interval;
+      entry.site = site;
+      if (intervalChanged && !entry.running) {
+        schedule(entry, Math.min(Math.max(0, entry.nextCheckAt - Date.now()), site.interval));
+      }
+    });
+
+    added.forEach((site, index) => {
+      const entry = { site, timer: null, nextCheckAt: null, startedAt: null, running: false, soonDelay: null };
+      entries.set(site.name, entry);
+      const window = Math.min(site.interval, STAGGER_WINDOW_MS);
+      schedule(entry, Math.round((index / added.length) * window));
+    });
+  }
+
+  /**
+   * Pull a site's next check forward (no-op if it is already due sooner)
+   * When called while the site's check is running, it applies to the following check
+   * @param {string} siteName - Name of the site
+   * @param {number} delay - Maximum delay in ms before the next check
+   */
+  function checkSoon(siteName, delay) {
+    const entry = entries.get(siteName);
+    if (!entry) return;
+
+    if (entry.running) {
+      entry.soonDelay = entry.soonDelay !== null ? Math.min(entry.soonDelay, delay) : delay;
+    } else if (entry.nextCheckAt - Date.now() > delay) {
+      schedule(entry, delay);
+    }
+  }
+
+  /**
+   * Get when a site is next due to be checked
+   * @param {string} siteName - Name of the site
+   * @returns {string|null} ISO timestamp, or null while a check is running
+   */
+  function getNextCheckAt(siteName) {
+    const entry = entries.get(siteName);
+    return entry && entry.nextCheckAt ? new Date(entry.nextCheckAt).toISOString() : null;
+  }
+
+  /**
+   * Cancel all pending checks
+   */
+  function stop() {
+    entries.forEach(entry => clearTimeout(entry.timer));
+    entries.clear();
+  }
+
+  return { sync, checkSoon, getNextCheckAt, stop };
+}
+
+module.exports = {
+  createScheduler
+};
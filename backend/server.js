@@ -5,13 +5,42 @@
 
 const express = require('express');
 const cors = require('cors');
-const axios = require('axios');
-const fs = require('fs');
-const path = require('path');
 const https = require('https');
 const http = require('http');
 const cron = require('node-cron');
 const dotenv = require('dotenv');
+const { loadHistory, recordCheck, getHistory, compactHistory } = require('./history');
+const { SLA_WINDOWS, computeSla, getSiteSla, getDailyAvailability, combinedAvailability } = require('./sla');
+const {
+  loadIncidents,
+  getOpenIncident,
+  openIncident,
+  recordIncidentCheck,
+  recordIncidentAlert,
+  resolveIncident,
+  pruneIncidents,
+  listIncidents,
+  getIncident,
+  addIncidentNote
+} = require('./incidents');
+const { validateSites, isExpectedStatus } = require('./siteSchema');
+const { loadSites, getGlobalMaintenance, readSiteEntries, entryHasName, saveSiteEntry } = require('./sitesConfig');
+const { getActiveWindow } = require('./maintenance');
+const { evaluateAssertions } = require('./assertions');
+const { inspectCertificate, describeCertificateProblem } = require('./tls');
+const { checkTcp, checkDns } = require('./netChecks');
+const { runTransaction } = require('./transactions');
+const { requestWithRedirects } = require('./redirects');
+const { createScheduler } = require('./scheduler');
+const { expandEnvVars, isPlainObject, parseDuration, formatDuration, describeRequestError } = require('./utils');
+const { loadNotifiers, getCommandChannel, notify } = require('./notifiers');
+const { requireScope, corsOptions, logAuthConfig } = require('./auth');
+const { renderStatusPage, renderBadge } = require('./statusPage');
+const { createMetrics } = require('./metrics');
+const { createEventStream } = require('./events');
+const { createRateLimiter } = require('./rateLimit');
+const { createTelegramBot } = require('./telegramBot');
+const { REPORT_PERIODS, buildReport, formatReportAlert } = require('./reports');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -19,13 +48,9 @@ const PORT = process.env.PORT || 5000;
 // Load environment variables from .env (if present)
 dotenv.config();
 
-// Telegram configuration (optional; alerts sent only when both are set)
-const TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
-const TELEGRAM_CHAT_ID = process.env.TELEGRAM_CHAT_ID;
-const TELEGRAM_ENABLED = Boolean(TELEGRAM_BOT_TOKEN && TELEGRAM_CHAT_ID);
-
 // HTTPS Agent with disabled certificate validation for self-signed certificates
 // This is specifically for monitoring HTTPS sites and only applies to monitoring requests
+// (certificate validity is inspected separately, see tls.js)
 const httpsAgent = new https.Agent({
   rejectUnauthorized: false // Allow self-signed certificates
 });
@@ -46,30 +71,76 @@ const DEFAULT_REQUEST_HEADERS = {
 
 /**
  * In-memory state tracking for each monitored site
- * Structure: { siteName: { lastStatus, lastCheckedAt, lastChangedAt, changeCount } }
+ * Structure: { siteName: { name, url, interval, lastStatus, lastCheckedAt, lastChangedAt, changeCount, ... } }
+ * Prototype-free, so names from URLs such as "constructor" don't match inherited keys
  */
-let monitoringState = {};
+let monitoringState = Object.create(null);
 
 /**
  * Initialize monitoring state for all sites
+ * New sites get a fresh entry, existing ones keep their state, removed (or renamed) ones are
+ * dropped and their open incident is closed, since no check will ever resolve it
+ * @param {Array} sites - Site definitions (defaults to sites.json)
  */
-function initializeMonitoringState() {
-  const sites = loadSites();
+function initializeMonitoringState(sites = loadSites()) {
+  const names = new Set(sites.map(site => site.name));
+  Object.keys(monitoringState).forEach(name => {
+    if (!names.has(name)) {
+      delete monitoringState[name];
+      console.log(`➖ Stopped monitoring ${name}`);
+
+      const incident = getOpenIncident(name);
+      if (incident) {
+        addIncidentNote(incident, { text: 'Closed because the site was removed from monitoring', author: 'system' });
+        resolveIncident(incident, { checkedAt: new Date().toISOString() });
+      }
+    }
+  });
+
   sites.forEach(site => {
-    if (!monitoringState[site.name]) {
+    if (monitoringState[site.name]) {
+      monitoringState[site.name].url = site.url;
+      monitoringState[site.name].interval = site.interval;
+      monitoringState[site.name].public = site.public;
+      monitoringState[site.name].group = site.group;
+      monitoringState[site.name].tags = site.tags;
+    } else {
       monitoringState[site.name] = {
         name: site.name,
         url: site.url,
+        interval: site.interval,
+        public: site.public,
+        group: site.group,
+        tags: site.tags,
         lastStatus: null,
         lastCheckedAt: null,
         lastChangedAt: null,
         changeCount: 0,
         lastStatusCode: null,
-        lastError: null
+        lastResponseTime: null,
+        lastError: null,
+        lastErrorType: null,
+        lastSteps: null,
+        lastRedirectChain: null,
+        lastTls: null,
+        tlsWarningLevel: null,
+        tlsProblemAlerted: false,
+        pendingStatus: null,
+        recentStatuses: [],
+        failuresSinceUp: 0,
+        firstFailure: null,
+        flapping: false,
+        flappingSince: null,
+        maintenance: null,
+        maintenanceStatus: null,
+        mutedUntil: null,
+        latencyLevel: null,
+        criticalStreak: 0,
+        latencyEscalated: false
       };
+      console.log(`➕ Monitoring ${site.name} every ${site.interval / 1000}s`);
     }
   });
-  console.log(`📊 Monitoring state initialized for ${sites.length} sites`);
 }
 
 /**
@@ -82,22 +153,209 @@ function getSiteState(siteName) {
 }
 
 /**
- * Update monitoring state and detect state changes
+ * Public view of a site's monitoring state, as returned by /api/status and live events
+ * @param {Object} state - Site's monitoring state
+ * @returns {Object}
+ */
+function formatSiteStatus(state) {
+  return {
+    name: state.name,
+    url: state.url,
+    group: state.group,
+    tags: state.tags,
+    interval: state.interval / 1000,
+    nextCheckAt: monitoringScheduler.getNextCheckAt(state.name),
+    // During maintenance the checked status moves to maintenance.status
+    lastStatus: state.maintenance ? 'MAINTENANCE' : state.lastStatus,
+    maintenance: state.maintenance && { ...state.maintenance, status: state.lastStatus },
+    pendingStatus: state.pendingStatus,
+    latencyLevel: state.maintenance ? null : state.latencyLevel,
+    mutedUntil: isMuted(state) ? state.mutedUntil : null,
+    flapping: state.flapping,
+    flappingSince: state.flappingSince,
+    lastCheckedAt: state.lastCheckedAt,
+    lastChangedAt: state.lastChangedAt,
+    changeCount: state.changeCount,
+    lastStatusCode: state.lastStatusCode,
+    lastResponseTime: state.lastResponseTime,
+    lastError: state.lastError,
+    lastErrorType: state.lastErrorType,
+    steps: state.lastSteps,
+    redirectChain: state.lastRedirectChain,
+    tls: state.lastTls
+  };
+}
+
+/**
+ * Whether a site's alerts are muted right now (see /mute in telegramBot.js)
+ * @param {Object} state - Site's monitoring state
+ */
+function isMuted(state) {
+  return Boolean(state.mutedUntil) && Date.parse(state.mutedUntil) > Date.now();
+}
+
+/**
+ * Mute a site's alerts until a time, or unmute them
+ * Mutes are kept in memory only and end when the backend restarts
  * @param {string} siteName - Name of the site
+ * @param {string|null} until - ISO timestamp, or null to unmute
+ * @returns {boolean} Whether the site exists
+ */
+function setSiteMute(siteName, until) {
+  const state = monitoringState[siteName];
+  if (!state) return false;
+
+  state.mutedUntil = until;
+  console.log(until ? `🔕 MUTED [${siteName}]: alerts paused until ${until}` : `🔔 UNMUTED [${siteName}]: alerts resumed`);
+  return true;
+}
+
+/**
+ * Decide the committed status for a site after a new raw check result
+ * A change needs confirmation: `failures` failed checks among the last `window` checks to go
+ * DOWN, or `recoveries` consecutive matching checks for any other change (when leaving DOWN,
+ * any check that isn't DOWN counts and the latest one decides between UP and DEGRADED)
+ * @param {Object} site - Site definition (confirmation)
+ * @param {Object} state - Site's monitoring state (lastStatus, recentStatuses)
+ * @param {string} rawStatus - Status of the latest check
+ * @returns {string} Committed status
+ */
+function confirmStatus(site, state, rawStatus) {
+  const committed = state.lastStatus;
+  if (committed === null || committed === rawStatus) {
+    return rawStatus;
+  }
+
+  const { failures, window, recoveries } = site.confirmation;
+  const recent = state.recentStatuses;
+
+  if (rawStatus === 'DOWN') {
+    const failed = recent.slice(-window).filter(status => status === 'DOWN').length;
+    return failed >= failures ? 'DOWN' : committed;
+  }
+
+  const tail = recent.slice(-recoveries);
+  const matches = committed === 'DOWN' ? status => status !== 'DOWN' : status => status === rawStatus;
+  return tail.length >= recoveries && tail.every(matches) ? rawStatus : committed;
+}
+
+/**
+ * Enter or leave FLAPPING based on how often recent raw results changed status
+ * Enters at `threshold` changes within the last `window` checks, leaves at half of that
+ * @param {Object} site - Site definition (flapping)
+ * @param {Object} state - Site's monitoring state
+ * @returns {string|null} 'start', 'stop' or null when nothing changed
+ */
+function detectFlapping(site, state) {
+  const { enabled, window, threshold } = site.flapping;
+  const recent = state.recentStatuses.slice(-window);
+  let transitions = 0;
+  for (let index = 1; index < recent.length; index++) {
+    if (recent[index] !== recent[index - 1]) transitions++;
+  }
+
+  if (enabled && !state.flapping && transitions >= threshold) {
+    state.flapping = true;
+    state.flappingSince = new Date().toISOString();
+    return 'start';
+  }
+  if (state.flapping && (!enabled || transitions <= Math.floor(threshold / 2))) {
+    state.flapping = false;
+    state.flappingSince = null;
+    return 'stop';
+  }
+  return null;
+}
+
+/**
+ * Update monitoring state and detect state changes
+ * Failures and recoveries are committed only once confirmed (see confirmStatus());
+ * until then the previous status is kept and pendingStatus holds the unconfirmed one.
+ * Alerts for state changes are suppressed while the site is FLAPPING, muted or in maintenance;
+ * when maintenance ends with the site in a different state than before it, that is alerted.
+ * @param {Object} site - Site definition
  * @param {Object} checkResult - Result from checkSite()
+ * @param {Object|null} maintenance - Active maintenance window, from getActiveWindow()
+ * @returns {Object|null} State change details, or null when the committed status is unchanged
  */
-function updateMonitoringState(siteName, checkResult) {
+function updateMonitoringState(site, checkResult, maintenance = null) {
+  const siteName = site.name;
   const currentState = monitoringState[siteName];
-  if (!currentState) return;
+  if (!currentState) return null;
 
   const previousStatus = currentState.lastStatus;
-  const newStatus = checkResult.status;
+  const rawStatus = checkResult.status;
+  const maintenanceEnded = Boolean(currentState.maintenance) && !maintenance;
+
+  if (maintenance && !currentState.maintenance) {
+    console.log(`🔧 MAINTENANCE [${siteName}]: ${maintenance.name} until ${maintenance.endsAt}, alerts paused`);
+    currentState.maintenanceStatus = previousStatus;
+  }
+  currentState.maintenance = maintenance;
 
   // Update state
-  currentState.lastStatus = newStatus;
   currentState.lastCheckedAt = checkResult.checkedAt;
   currentState.lastStatusCode = checkResult.statusCode;
+  currentState.lastResponseTime = checkResult.responseTime;
   currentState.lastError = checkResult.error;
+  currentState.lastErrorType = checkResult.errorType || null;
+  currentState.lastSteps = checkResult.steps || null;
+  currentState.lastRedirectChain = checkResult.redirectChain || null;
+
+  // Keep enough recent raw results for confirmation and flap detection
+  const keep = Math.max(site.confirmation.window, site.confirmation.recoveries, site.flapping.window);
+  currentState.recentStatuses = currentState.recentStatuses.concat(rawStatus).slice(-keep);
+
+  // Remember where a (possibly unconfirmed) outage started; downtime during maintenance doesn't count
+  if (rawStatus === 'DOWN' && !maintenance) {
+    currentState.failuresSinceUp++;
+    currentState.firstFailure = currentState.firstFailure || checkResult;
+  }
+
+  const newStatus = confirmStatus(site, currentState, rawStatus);
+  currentState.lastStatus = newStatus;
+  currentState.pendingStatus = newStatus !== rawStatus ? rawStatus : null;
+  const latencyEscalation = updateLatencyLevel(site, currentState, checkResult, previousStatus);
+
+  // Record outages as incidents
+  const incident = trackIncident(siteName, currentState, checkResult);
+
+  if (newStatus !== 'DOWN' && rawStatus !== 'DOWN') {
+    currentState.failuresSinceUp = 0;
+    currentState.firstFailure = null;
+  }
+
+  const flapChange = detectFlapping(site, currentState);
+  if (flapChange) {
+    console.log(`〰️ FLAPPING [${siteName}]: ${flapChange === 'start' ? 'started, alerts paused' : `stopped, now ${newStatus}`}`);
+    if (!maintenance && !isMuted(currentState)) {
+      sendFlappingAlert(site, { started: flapChange === 'start', status: newStatus });
+    }
+  }
+
+  const alertDetails = {
+    newStatus,
+    latencyLevel: currentState.latencyLevel,
+    statusCode: checkResult.statusCode,
+    responseTime: checkResult.responseTime,
+    error: checkResult.error,
+    errorType: checkResult.errorType,
+    checkedAt: checkResult.checkedAt,
+    incident
+  };
+
+  if (maintenanceEnded) {
+    const statusBefore = currentState.maintenanceStatus;
+    console.log(`🔧 MAINTENANCE [${siteName}]: ended, now ${newStatus}`);
+    currentState.maintenanceStatus = null;
+
+    // Changes during the window weren't alerted; report where the site ended up
+    // (a change on this very check is alerted below as usual)
+    if (statusBefore !== null && statusBefore !== newStatus && previousStatus === newStatus &&
+        !currentState.flapping && !isMuted(currentState)) {
+      sendStatusAlert(site, { ...alertDetails, previousStatus: statusBefore });
+    }
+  }
 
   // Detect state change
   if (previousStatus !== null && previousStatus !== newStatus) {
@@ -105,21 +363,21 @@ function updateMonitoringState(siteName, checkResult) {
     currentState.lastChangedAt = new Date().toISOString();
     
     // Log state change
-    const changeType = newStatus === 'UP' ? '📈 UP' : '📉 DOWN';
-    const emoji = newStatus === 'UP' ? '✅' : '⚠️';
+    const emoji = { UP: '✅', DEGRADED: '🐢' }[newStatus] || '⚠️';
     console.log(`${emoji} STATE CHANGE [${siteName}]: ${previousStatus} → ${newStatus} (Change #${currentState.changeCount})`);
 
-    // Fire-and-forget Telegram alert (does not block monitoring)
-    sendTelegramAlert({
-      siteName,
-      url: currentState.url,
-      newStatus,
-      previousStatus,
-      statusCode: checkResult.statusCode,
-      responseTime: checkResult.responseTime,
-      error: checkResult.error,
-      checkedAt: checkResult.checkedAt
-    });
+    // Fire-and-forget alert (does not block monitoring), unless the site is flapping, in maintenance or muted
+    const muted = isMuted(currentState);
+    const alerted = !currentState.flapping && !maintenance && !muted;
+    if (currentState.flapping) {
+      console.log(`🔕 Alert suppressed for ${siteName} (flapping)`);
+    } else if (maintenance) {
+      console.log(`🔕 Alert suppressed for ${siteName} (maintenance)`);
+    } else if (muted) {
+      console.log(`🔕 Alert suppressed for ${siteName} (muted until ${currentState.mutedUntil})`);
+    } else {
+      sendStatusAlert(site, { ...alertDetails, previousStatus });
+    }
     
     return {
       siteChanged: true,
@@ -127,28 +385,168 @@ function updateMonitoringState(siteName, checkResult) {
       previousStatus: previousStatus,
       newStatus: newStatus,
       changedAt: currentState.lastChangedAt,
-      changeCount: currentState.changeCount
+      changeCount: currentState.changeCount,
+      alerted
     };
   }
 
+  if (newStatus === 'DOWN') {
+    sendDownReminders(site, currentState, alertDetails);
+  }
+
+  if (latencyEscalation) {
+    console.log(`🐢 CRITICAL LATENCY [${siteName}]: ${checkResult.responseTime}ms`);
+    if (!currentState.flapping && !maintenance && !isMuted(currentState)) {
+      sendStatusAlert(site, { ...alertDetails, previousStatus: newStatus });
+    }
+  }
+
   return null;
 }
 
 /**
- * Send Telegram alert for state changes (non-blocking)
- * Alerts are skipped if TELEGRAM_BOT_TOKEN or TELEGRAM_CHAT_ID is missing
+ * Track how slow a DEGRADED site is: latencyLevel follows the committed status ('warning' or
+ * 'critical' while DEGRADED, otherwise null). A site already DEGRADED that stays at or above
+ * its critical threshold for `recoveries` checks in a row escalates once per DEGRADED period.
+ * @param {Object} site - Site definition (confirmation)
+ * @param {Object} state - Site's monitoring state, after confirmStatus()
+ * @param {Object} checkResult - Result from checkSite()
+ * @param {string|null} previousStatus - Committed status before this check
+ * @returns {boolean} Whether this check escalated the site to critical latency
+ */
+function updateLatencyLevel(site, state, checkResult, previousStatus) {
+  state.criticalStreak = checkResult.latencyLevel === 'critical' ? state.criticalStreak + 1 : 0;
+
+  if (state.lastStatus !== 'DEGRADED') {
+    state.latencyLevel = null;
+    state.latencyEscalated = false;
+    return false;
+  }
+  if (previousStatus !== 'DEGRADED') {
+    // Entering DEGRADED: the alert for the change already carries the level
+    state.latencyLevel = checkResult.latencyLevel || 'warning';
+    state.latencyEscalated = state.latencyLevel === 'critical';
+    return false;
+  }
+
+  if (state.criticalStreak >= site.confirmation.recoveries) {
+    state.latencyLevel = 'critical';
+  } else if (checkResult.latencyLevel === 'warning') {
+    state.latencyLevel = 'warning';
+  }
+  if (state.latencyLevel === 'critical' && !state.latencyEscalated) {
+    state.latencyEscalated = true;
+    return true;
+  }
+  return false;
+}
+
+/**
+ * While a site stays DOWN, repeat the alert every reminders.every and escalate once the
+ * outage has lasted escalation.after. Both stop once the incident is acknowledged and are
+ * skipped while the site is flapping, muted or in maintenance. Runs after each check, so
+ * reminders are as punctual as the site's interval allows.
+ * @param {Object} site - Site definition
+ * @param {Object} state - Site's monitoring state
+ * @param {Object} details - Latest check details, including the open incident
+ */
+function sendDownReminders(site, state, details) {
+  const { incident } = details;
+  if (!incident || incident.status !== 'open' || incident.acknowledgedAt) return;
+  if (state.flapping || state.maintenance || isMuted(state)) return;
+
+  const now = Date.now();
+  const downFor = now - Date.parse(incident.startedAt);
+
+  if (site.escalation && !incident.escalatedAt && downFor >= site.escalation.after) {
+    recordIncidentAlert(incident, 'escalation');
+    console.log(`📟 ESCALATED [${site.name}]: DOWN for ${formatDuration(downFor)}, alerting ${site.escalation.notify.join(', ')}`);
+    sendReminderAlert(site, { ...details, downFor, escalation: true });
+    return;
+  }
+
+  const lastAlertAt = Date.parse(incident.lastAlertAt || incident.startedAt);
+  if (site.reminders.enabled && now - lastAlertAt >= site.reminders.every) {
+    recordIncidentAlert(incident, 'reminder');
+    console.log(`⏰ REMINDER [${site.name}]: still DOWN after ${formatDuration(downFor)} (reminder #${incident.reminders})`);
+    sendReminderAlert(site, { ...details, downFor, escalation: false });
+  }
+}
+
+/**
+ * Open, extend or resolve the site's incident based on its committed status
+ * An incident starts at the first failing check, even if confirming it took several checks.
+ * An incident still open from before a restart simply continues. No incident is opened
+ * during maintenance; if the site is still DOWN afterwards, one starts at the next failure.
+ * @param {string} siteName - Name of the site
+ * @param {Object} state - Site's monitoring state (after this check was applied)
+ * @param {Object} checkResult - Result from checkSite()
+ * @returns {Object|null} The site's open incident, or the one this check resolved
+ */
+function trackIncident(siteName, state, checkResult) {
+  const incident = getOpenIncident(siteName);
+
+  if (state.lastStatus === 'DOWN') {
+    if (!incident) {
+      if (state.maintenance || checkResult.status !== 'DOWN') return null;
+      return openIncident(siteName, state.url, state.firstFailure || checkResult, Math.max(1, state.failuresSinceUp));
+    }
+    if (checkResult.status === 'DOWN') {
+      recordIncidentCheck(incident, checkResult);
+    }
+    return incident;
+  }
+  return incident ? resolveIncident(incident, checkResult) : null;
+}
+
+/**
+ * Track a site's certificate and alert when it nears expiry or becomes invalid
+ * Each warning threshold alerts once; thresholds reset when the certificate is renewed
+ * @param {Object} site - Site definition (tls.warningDays)
+ * @param {Object|null} certificate - Result from inspectCertificate()
  */
-async function sendTelegramAlert({ siteName, url, newStatus, previousStatus, statusCode, responseTime, error, checkedAt }) {
-  if (!TELEGRAM_ENABLED) {
-    return; // Alerts disabled when env vars are not set
+function trackCertificate(site, certificate) {
+  const state = monitoringState[site.name];
+  if (!state || !certificate) return;
+
+  state.lastTls = certificate;
+
+  const problem = describeCertificateProblem(certificate);
+  if (problem && !state.tlsProblemAlerted) {
+    console.log(`🔓 TLS PROBLEM [${site.name}]: ${problem}`);
+    sendCertificateAlert(site, { certificate, message: problem });
+  }
+  state.tlsProblemAlerted = Boolean(problem);
+
+  if (certificate.expired) return;
+
+  const crossed = site.tls.warningDays.filter(days => certificate.daysToExpiry <= days);
+  if (crossed.length === 0) {
+    state.tlsWarningLevel = null;
+    return;
+  }
+
+  const level = Math.min(...crossed);
+  if (state.tlsWarningLevel === null || level < state.tlsWarningLevel) {
+    state.tlsWarningLevel = level;
+    const message = `Certificate expires in ${certificate.daysToExpiry} days`;
+    console.log(`🔐 TLS WARNING [${site.name}]: ${message}`);
+    sendCertificateAlert(site, { certificate, message });
   }
+}
 
-  const emoji = newStatus === 'UP' ? '✅' : '🚨';
-  const header = `${emoji} Site status change`;
+/**
+ * Send an alert for a state change to the site's channels (non-blocking)
+ * A recovery includes the outage's downtime and failed checks, and also goes to the
+ * escalation channels if the outage was escalated
+ */
+async function sendStatusAlert(site, { newStatus, previousStatus, latencyLevel, statusCode, responseTime, error, errorType, checkedAt, incident }) {
+  const emoji = { UP: '✅', DEGRADED: '🐢' }[newStatus] || '🚨';
+  const recovered = Boolean(incident) && incident.status === 'resolved';
+  const criticalLatency = newStatus === 'DEGRADED' && latencyLevel === 'critical';
   const lines = [
-    header,
-    `Site: ${siteName}`,
-    `URL: ${url}`,
+    `Site: ${site.name}`,
+    `URL: ${site.url}`,
     `Status: ${newStatus} (was ${previousStatus ?? 'unknown'})`,
     `HTTP: ${statusCode ?? 'N/A'}`,
     `Response: ${typeof responseTime === 'number' ? `${responseTime}ms` : 'N/A'}`,
@@ -158,103 +556,280 @@ async function sendTelegramAlert({ siteName, url, newStatus, previousStatus, sta
   if (error) {
     lines.push(`Error: ${error}`);
   }
+  if (recovered) {
+    lines.push(`Downtime: ${formatDuration(incident.durationMs)} (since ${incident.startedAt})`, `Failed checks: ${incident.failedChecks}`);
+  } else if (newStatus === 'DOWN' && incident) {
+    // Reminders are counted from the first alert
+    recordIncidentAlert(incident, 'down');
+  }
 
-  const text = lines.join('\n');
+  await notify(site, {
+    event: 'status',
+    severity: criticalLatency ? 'critical' : { UP: 'ok', DEGRADED: 'warning' }[newStatus] || 'critical',
+    title: recovered
+      ? `${emoji} ${site.name} is ${newStatus} after ${formatDuration(incident.durationMs)} down`
+      : `${emoji} ${site.name} is ${newStatus}${criticalLatency ? ' (critical latency)' : ''}`,
+    message: lines.join('\n'),
+    status: newStatus,
+    previousStatus,
+    latencyLevel: newStatus === 'DEGRADED' ? latencyLevel : null,
+    statusCode,
+    responseTime,
+    error,
+    errorType: errorType || null,
+    checkedAt,
+    ...(recovered ? { incidentId: incident.id, downtimeMs: incident.durationMs, failedChecks: incident.failedChecks } : {})
+  }, { extra: recovered && incident.escalatedAt && site.escalation ? site.escalation.notify : [] });
+}
 
-  try {
-    await axios.post(`https://api.telegram.org/bot${TELEGRAM_BOT_TOKEN}/sendMessage`, {
-      chat_id: TELEGRAM_CHAT_ID,
-      text,
-      disable_web_page_preview: true
-    }, {
-      timeout: 5000
-    });
-  } catch (alertError) {
-    console.error('⚠️ Telegram alert failed:', alertError.message);
+/**
+ * Send a reminder that a site is still DOWN, or escalate it to the escalation channels (non-blocking)
+ * Reminders also go to the escalation channels once the outage has been escalated
+ */
+async function sendReminderAlert(site, { incident, downFor, escalation, statusCode, responseTime, error, errorType, checkedAt }) {
+  const lines = [
+    `Site: ${site.name}`,
+    `URL: ${site.url}`,
+    `Down for: ${formatDuration(downFor)} (since ${incident.startedAt})`,
+    `Failed checks: ${incident.failedChecks}`,
+    `HTTP: ${statusCode ?? 'N/A'}`,
+    `Checked: ${checkedAt}`
+  ];
+
+  if (error) {
+    lines.push(`Error: ${error}`);
+  }
+  lines.push(`Acknowledge incident #${incident.id} to stop reminders.`);
+
+  await notify(site, {
+    event: escalation ? 'status' : 'reminder',
+    severity: 'critical',
+    title: escalation
+      ? `📟 Escalated: ${site.name} has been DOWN for ${formatDuration(downFor)}`
+      : `⏰ ${site.name} is still DOWN (${formatDuration(downFor)})`,
+    message: lines.join('\n'),
+    status: 'DOWN',
+    previousStatus: 'DOWN',
+    statusCode,
+    responseTime,
+    error,
+    errorType: errorType || null,
+    checkedAt,
+    incidentId: incident.id,
+    downtimeMs: downFor,
+    failedChecks: incident.failedChecks,
+    escalated: Boolean(incident.escalatedAt)
+  }, escalation
+    ? { only: site.escalation.notify }
+    : { extra: incident.escalatedAt && site.escalation ? site.escalation.notify : [] });
+}
+
+/**
+ * Send an alert when a site starts or stops flapping (non-blocking)
+ */
+async function sendFlappingAlert(site, { started, status }) {
+  const lines = started
+    ? [`Site: ${site.name}`, `URL: ${site.url}`, 'Status changes rapidly; further alerts are paused until it settles.']
+    : [`Site: ${site.name}`, `URL: ${site.url}`, `Current status: ${status}`];
+
+  await notify(site, {
+    event: 'flapping',
+    severity: started ? 'warning' : 'ok',
+    title: started ? `〰️ ${site.name} is flapping` : `🟰 ${site.name} stopped flapping`,
+    message: lines.join('\n'),
+    status,
+    flapping: started
+  });
+}
+
+/**
+ * Send an alert for certificate warnings (non-blocking), unless the site is muted
+ */
+async function sendCertificateAlert(site, { certificate, message }) {
+  const state = monitoringState[site.name];
+  if (state && isMuted(state)) {
+    console.log(`🔕 Certificate alert suppressed for ${site.name} (muted until ${state.mutedUntil})`);
+    return;
   }
+
+  const lines = [
+    `Site: ${site.name}`,
+    `URL: ${site.url}`,
+    message,
+    `Expires: ${certificate.validTo} (${certificate.daysToExpiry} days)`,
+    `Issuer: ${certificate.issuer || 'N/A'}`
+  ];
+
+  await notify(site, {
+    event: 'certificate',
+    severity: certificate.expired || !certificate.chainValid ? 'critical' : 'warning',
+    title: `🔐 Certificate warning for ${site.name}`,
+    message: lines.join('\n'),
+    validTo: certificate.validTo,
+    daysToExpiry: certificate.daysToExpiry
+  });
 }
 
-// Middleware
-app.use(cors());
+// Behind a reverse proxy (e.g. Render), trust its X-Forwarded-For so rate limits see client IPs
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+
+// Middleware (CORS allowlist and API keys, see auth.js)
+app.use(cors(corsOptions));
 app.use(express.json());
+app.use('/api', requireScope('read'));
 
 /**
- * Load sites from sites.json file
- * @returns {Array} Array of site objects with name and url
+ * Check the status of a single website using its check definition
+ * A successful check that is slower than the site's latency thresholds is DEGRADED, with
+ * latencyLevel 'warning' (at or above warn) or 'critical' (at or above critical)
+ * @param {Object} site - Site definition from loadSites()
+ * @returns {Promise<Object>} Object with status (UP, DEGRADED or DOWN), statusCode, and responseTime
  */
-function loadSites() {
-  try {
-    const sitesPath = path.join(__dirname, 'sites.json');
-    const data = fs.readFileSync(sitesPath, 'utf-8');
-    const parsedData = JSON.parse(data);
-    return parsedData.sites || [];
-  } catch (error) {
-    console.error('Error loading sites.json:', error.message);
-    return [];
+async function checkSite(site) {
+  const result = await runCheck(site);
+  const { warn, critical } = site.latency;
+  if (result.status !== 'UP' || typeof result.responseTime !== 'number') {
+    return result;
+  }
+
+  if (critical !== null && result.responseTime >= critical) {
+    return {
+      ...result,
+      status: 'DEGRADED',
+      latencyLevel: 'critical',
+      error: `Response time ${result.responseTime}ms is above the critical threshold (${critical}ms)`,
+      errorType: 'Slow Response'
+    };
+  }
+  if (warn !== null && result.responseTime >= warn) {
+    return {
+      ...result,
+      status: 'DEGRADED',
+      latencyLevel: 'warning',
+      error: `Response time ${result.responseTime}ms is above the warning threshold (${warn}ms)`,
+      errorType: 'Slow Response'
+    };
+  }
+  return result;
+}
+
+/**
+ * Run the check for a site's type
+ * TCP, DNS and transaction sites use their own checks; HTTPS sites also get their certificate
+ * inspected (result.tls)
+ * @param {Object} site - Site definition from loadSites()
+ * @returns {Promise<Object>} Check result (UP or DOWN)
+ */
+async function runCheck(site) {
+  if (site.type === 'tcp') {
+    return checkTcp(site);
   }
+  if (site.type === 'dns') {
+    return checkDns(site);
+  }
+  if (site.type === 'transaction') {
+    return runTransaction(site, { httpAgent, httpsAgent, headers: DEFAULT_REQUEST_HEADERS });
+  }
+
+  const isHttps = new URL(site.url).protocol === 'https:';
+  const [result, certificate] = await Promise.all([
+    checkHttp(site),
+    isHttps
+      ? inspectCertificate(site.url, { timeout: site.timeout }).catch(() => null)
+      : Promise.resolve(null)
+  ]);
+
+  if (!certificate) {
+    return result;
+  }
+
+  // An otherwise healthy site is DOWN when it requires a valid chain and doesn't have one
+  const problem = describeCertificateProblem(certificate);
+  if (problem && site.tls.requireValidChain && result.status === 'UP') {
+    return { ...result, status: 'DOWN', error: problem, errorType: 'SSL Error', tls: certificate };
+  }
+
+  return { ...result, tls: certificate };
 }
 
 /**
- * Check the status of a single website
- * @param {string} url - The website URL to check
- * @param {number} timeout - Timeout in milliseconds (default: 5000)
- * @returns {Promise<Object>} Object with status, statusCode, and responseTime
+ * Perform the HTTP request for a site and evaluate its redirect chain, status code and assertions
+ * @param {Object} site - Site definition (url, method, headers, body, expectedStatus,
+ *   timeout, followRedirects, maxRedirects, redirects, assertions)
+ * @returns {Promise<Object>} Check result; redirectChain lists every request made
+ *   ({ url, statusCode, responseTime }) and finalUrl is where it ended
  */
-async function checkSite(url, timeout = 5000) {
+async function checkHttp(site) {
   const startTime = Date.now();
   try {
-    const response = await axios.get(url, {
-      timeout: timeout,
-      // Follow redirects
-      maxRedirects: 5,
-      // Don't reject on any status code
-      validateStatus: () => true,
+    const { response, url, chain, problem } = await requestWithRedirects({
+      url: site.url,
+      method: site.method,
+      // Objects are serialized as JSON by axios
+      data: site.body !== undefined ? expandEnvVars(site.body) : undefined,
+      timeout: site.timeout,
       // Use HTTPS agent that allows self-signed certificates
       httpsAgent: httpsAgent,
       // Also use for HTTP to keep consistency
       httpAgent: httpAgent,
-      headers: DEFAULT_REQUEST_HEADERS
+      headers: { ...DEFAULT_REQUEST_HEADERS, ...expandEnvVars(site.headers) },
+      // Keep the raw body text for content assertions
+      responseType: 'text',
+      transformResponse: [data => data]
+    }, {
+      followRedirects: site.followRedirects,
+      maxRedirects: site.maxRedirects,
+      policy: site.redirects
     });
 
     const responseTime = Date.now() - startTime;
     const statusCode = response.status;
-    
-    // Status is UP if response code is between 200-399
-    const status = statusCode >= 200 && statusCode < 400 ? 'UP' : 'DOWN';
-
-    return {
-      status: status,
+    const result = {
+      status: 'UP',
       statusCode: statusCode,
       responseTime: responseTime,
       checkedAt: new Date().toISOString(),
-      error: null
+      error: null,
+      errorType: null,
+      finalUrl: url,
+      redirectChain: chain
     };
+
+    // A chain that loops, downgrades to HTTP or ends up somewhere unexpected is DOWN
+    if (problem) {
+      return { ...result, status: 'DOWN', ...problem };
+    }
+    
+    // Status is UP if the response code is one the site expects (default 200-399)
+    if (!isExpectedStatus(statusCode, site.expectedStatus)) {
+      return {
+        ...result,
+        status: 'DOWN',
+        error: `Unexpected status code ${statusCode}`,
+        errorType: 'Unexpected Status'
+      };
+    }
+
+    // ...and every content assertion on the body holds
+    const failedAssertion = evaluateAssertions(site.assertions, response.data);
+    if (failedAssertion) {
+      return {
+        ...result,
+        status: 'DOWN',
+        error: failedAssertion.message,
+        errorType: 'Assertion Failed',
+        failedAssertion: failedAssertion.assertion
+      };
+    }
+
+    return result;
   } catch (error) {
     const responseTime = Date.now() - startTime;
-    let errorMessage = 'Unknown error';
-    let errorType = 'Unknown';
 
     // Distinguish between different error types
-    if (error.code === 'ECONNABORTED') {
-      errorMessage = 'Request timeout (5 seconds)';
-      errorType = 'Timeout';
-    } else if (error.code === 'ENOTFOUND') {
-      errorMessage = 'Domain not found';
-      errorType = 'DNS Error';
-    } else if (error.code === 'ECONNREFUSED') {
-      errorMessage = 'Connection refused';
-      errorType = 'Connection Error';
-    } else if (error.code === 'ERR_TLS_CERT_ALTNAME_INVALID' || error.code === 'CERT_HAS_EXPIRED' || error.message.includes('certificate')) {
-      errorMessage = 'SSL certificate issue (but connection was made)';
-      errorType = 'SSL Warning';
-      // Note: If we got here, it means the TLS error was not caught by httpsAgent
-      // This is still DOWN because we couldn't verify the connection
-    } else if (error.message.includes('getaddrinfo')) {
-      errorMessage = 'Network error';
-      errorType = 'Network Error';
-    } else if (error.message) {
-      errorMessage = error.message;
-    }
+    const { error: errorMessage, errorType } = describeRequestError(error, site.timeout);
 
     return {
       status: 'DOWN',
@@ -268,80 +843,243 @@ async function checkSite(url, timeout = 5000) {
 }
 
 /**
- * Automatic background monitoring function
- * Runs every 5 minutes to check all sites and detect state changes
- * Reuses the existing checkSite() logic
+ * Get the maintenance window (the site's own or a global one) a site is in right now
+ * @param {Object} site - Site definition
+ * @returns {Object|null} { name, startedAt, endsAt }
  */
-async function performAutomaticMonitoring() {
-  const sites = loadSites();
-  console.log(`\n🔄 [${new Date().toISOString()}] Starting automatic monitoring cycle...`);
+function getSiteMaintenance(site) {
+  return getActiveWindow(site.maintenance.concat(getGlobalMaintenance()));
+}
 
-  const stateChanges = [];
+/**
+ * Automatic background monitoring of one site
+ * Called by the scheduler on the site's interval; reuses the existing checkSite() logic
+ * @param {Object} site - Site definition
+ * @returns {Promise<Object>} Check result with name and url
+ */
+async function monitorSite(site) {
+  const result = await checkSite(site);
+  const maintenance = getSiteMaintenance(site);
 
-  // Check all sites in parallel
-  const checkPromises = sites.map(site =>
-    checkSite(site.url)
-      .then(result => {
-        // Update monitoring state and detect changes
-        const change = updateMonitoringState(site.name, result);
-        if (change) {
-          stateChanges.push(change);
-        }
-        return {
-          name: site.name,
-          url: site.url,
-          ...result
-        };
-      })
-      .catch(error => {
-        console.error(`❌ Error checking ${site.name}:`, error.message);
-        return {
-          name: site.name,
-          url: site.url,
-          status: 'DOWN',
-          error: error.message,
-          checkedAt: new Date().toISOString()
-        };
-      })
-  );
+  // Persist every result so history survives restarts (flagged during maintenance)
+  recordCheck(site.name, maintenance ? { ...result, maintenance: true } : result);
 
-  const results = await Promise.all(checkPromises);
+  // Update monitoring state and detect changes
+  const change = updateMonitoringState(site, result, maintenance);
+  trackCertificate(site, result.tls);
+  monitoringMetrics.recordCheck(site, result);
 
-  // Calculate summary
-  const upCount = results.filter(r => r.status === 'UP').length;
-  const downCount = results.filter(r => r.status === 'DOWN').length;
+  if (change) {
+    console.log(`🔔 STATE CHANGE DETECTED: ${change.siteName}: ${change.previousStatus} → ${change.newStatus}`);
+    monitoringMetrics.recordStateChange(site, change.newStatus, result.errorType);
+    liveEvents.publish('state-change', change);
+  }
 
-  // Log summary
-  console.log(`✓ Monitoring cycle complete: ${upCount}/${results.length} sites UP, ${downCount}/${results.length} sites DOWN`);
+  // Unconfirmed failure or recovery: recheck soon instead of waiting a full interval
+  const state = getSiteState(site.name);
+  if (state && state.pendingStatus) {
+    monitoringScheduler.checkSoon(site.name, site.confirmation.recheckDelay);
+  }
 
-  // Log any state changes
-  if (stateChanges.length > 0) {
-    console.log(`\n🔔 STATE CHANGES DETECTED (${stateChanges.length}):`);
-    stateChanges.forEach(change => {
-      console.log(`   • ${change.siteName}: ${change.previousStatus} → ${change.newStatus}`);
-    });
+  // Push the new state to live dashboards (nextCheckAt is null until the check completes)
+  if (state) {
+    liveEvents.publish('check', formatSiteStatus(state));
   }
 
   return {
-    timestamp: new Date().toISOString(),
-    monitoringCycle: true,
-    results: results,
-    stateChanges: stateChanges,
-    summary: {
-      total: results.length,
-      up: upCount,
-      down: downCount
-    }
+    name: site.name,
+    url: site.url,
+    ...result
+  };
+}
+
+// Per-site check scheduler (see scheduler.js)
+const monitoringScheduler = createScheduler(monitorSite);
+
+// Prometheus metrics (see metrics.js)
+const monitoringMetrics = createMetrics(() => Object.values(monitoringState));
+
+// Live updates for dashboards (see events.js)
+const liveEvents = createEventStream();
+
+/**
+ * Reload sites.json and apply it to monitoring state and the scheduler
+ * Picks up hand edits to sites.json without a restart
+ */
+function syncMonitoredSites() {
+  const previousNames = Object.keys(monitoringState).sort().join('\n');
+  const sites = loadSites();
+  initializeMonitoringState(sites);
+  monitoringScheduler.sync(sites);
+
+  // Let live dashboards reload when sites were added, removed or renamed
+  const names = Object.keys(monitoringState).sort();
+  if (names.join('\n') !== previousNames) {
+    liveEvents.publish('sites', { names });
+  }
+  return sites;
+}
+
+/**
+ * Log a one-line summary of the last known status of every site
+ */
+function logMonitoringSummary() {
+  const states = Object.values(monitoringState);
+  const upCount = states.filter(state => state.lastStatus === 'UP').length;
+  const degradedCount = states.filter(state => state.lastStatus === 'DEGRADED').length;
+  const downCount = states.filter(state => state.lastStatus === 'DOWN').length;
+  console.log(`📊 [${new Date().toISOString()}] ${upCount}/${states.length} sites UP, ${degradedCount}/${states.length} DEGRADED, ${downCount}/${states.length} DOWN`);
+}
+
+/**
+ * Combined availability of the given sites over the last 24 hours, for summary blocks
+ * @param {Array<string>} siteNames - Sites to include
+ * @returns {string} Percentage like "99.95%", or 'N/A' when nothing has been recorded yet
+ */
+function formatUptime24h(siteNames) {
+  const now = Date.now();
+  const from = now - SLA_WINDOWS['24h'];
+  const availability = combinedAvailability(
+    siteNames.map(name => computeSla(getHistory(name, { from, to: now }), from, now))
+  );
+  return availability !== null ? `${availability.toFixed(2)}%` : 'N/A';
+}
+
+/**
+ * Read the ?group= and ?tag= filters of a request
+ * ?tag= may be repeated; a site must then have every tag
+ * @param {Object} query - req.query
+ * @returns {Object|null} { group, tags }, or null when neither is given
+ */
+function parseSiteFilter(query) {
+  const group = typeof query.group === 'string' && query.group.trim() ? query.group.trim().toLowerCase() : null;
+  const tags = [].concat(query.tag || [])
+    .filter(tag => typeof tag === 'string' && tag.trim())
+    .map(tag => tag.trim().toLowerCase());
+  return group || tags.length > 0 ? { group, tags } : null;
+}
+
+/**
+ * Whether a site (definition or status) passes a filter from parseSiteFilter(); groups match ignoring case
+ */
+function matchesSiteFilter(site, filter) {
+  if (!filter) return true;
+  if (filter.group && (site.group || '').toLowerCase() !== filter.group) return false;
+  return filter.tags.every(tag => site.tags.includes(tag));
+}
+
+/**
+ * Summary counts for a set of site statuses (as returned by formatSiteStatus)
+ * @returns {Object} { total, up, degraded, down, flapping, maintenance, uptime }
+ */
+function summarizeStatuses(statuses) {
+  return {
+    total: statuses.length,
+    up: statuses.filter(s => s.lastStatus === 'UP').length,
+    degraded: statuses.filter(s => s.lastStatus === 'DEGRADED').length,
+    down: statuses.filter(s => s.lastStatus === 'DOWN').length,
+    flapping: statuses.filter(s => s.flapping).length,
+    maintenance: statuses.filter(s => s.maintenance).length,
+    uptime: formatUptime24h(statuses.map(s => s.name))
   };
 }
 
+/**
+ * Per-group summaries, sorted by group name; sites without a group are summarized under name null (last)
+ * @returns {Array<Object>} [{ name, total, up, degraded, down, flapping, maintenance, uptime }]
+ */
+function summarizeGroups(statuses) {
+  const groups = new Map();
+  statuses.forEach(status => {
+    groups.set(status.group, (groups.get(status.group) || []).concat(status));
+  });
+
+  return [...groups.entries()]
+    .sort(([a], [b]) => (a === null) - (b === null) || (a || '').localeCompare(b || ''))
+    .map(([name, members]) => ({ name, ...summarizeStatuses(members) }));
+}
+
+// Manual checks: results are reused for this long before another on-demand run is started
+const MANUAL_CHECK_MIN_INTERVAL_MS = parseDuration(process.env.MANUAL_CHECK_MIN_INTERVAL || '30s') ?? 30 * 1000;
+
+// Manual check requests allowed per client per minute
+const MANUAL_CHECK_RATE_LIMIT = Number(process.env.MANUAL_CHECK_RATE_LIMIT) || 10;
+
+// Latest manual run per scope ('all', 'site:<name>' or 'filter:<group/tags>'): { promise (while running), data, completedAt }
+const manualCheckRuns = new Map();
+
+const manualCheckLimiter = createRateLimiter({
+  limit: MANUAL_CHECK_RATE_LIMIT,
+  windowMs: 60 * 1000,
+  description: 'manual check requests'
+});
+
+/**
+ * Check sites on demand, sharing work between callers
+ * Requests arriving while a run for the same scope is in flight wait for that run;
+ * a run finished less than MANUAL_CHECK_MIN_INTERVAL_MS ago is returned as is
+ * @param {string} scope - 'all', 'site:<name>' or 'filter:<group/tags>'
+ * @param {Array} sites - Sites to check
+ * @returns {Promise<Object>} { data, cached, coalesced }
+ */
+async function runManualCheck(scope, sites) {
+  const previous = manualCheckRuns.get(scope);
+
+  if (previous && previous.promise) {
+    return { data: await previous.promise, cached: false, coalesced: true };
+  }
+  if (previous && Date.now() - previous.completedAt < MANUAL_CHECK_MIN_INTERVAL_MS) {
+    return { data: previous.data, cached: true, coalesced: false };
+  }
+
+  // Check all sites in parallel
+  const promise = Promise.all(sites.map(site =>
+    checkSite(site).then(result => ({
+      name: site.name,
+      url: site.url,
+      group: site.group,
+      tags: site.tags,
+      ...result,
+      flapping: Boolean(getSiteState(site.name) && getSiteState(site.name).flapping),
+      maintenance: getSiteMaintenance(site)
+    }))
+  )).then(results => ({ checkedAt: new Date().toISOString(), results }));
+
+  manualCheckRuns.set(scope, { promise, data: null, completedAt: 0 });
+  try {
+    const data = await promise;
+    manualCheckRuns.set(scope, { promise: null, data, completedAt: Date.now() });
+    return { data, cached: false, coalesced: false };
+  } catch (error) {
+    manualCheckRuns.delete(scope);
+    throw error;
+  }
+}
+
+// Telegram bot commands (see telegramBot.js)
+const telegramBot = createTelegramBot({
+  getChannel: getCommandChannel,
+  getSites: () => Object.values(monitoringState).map(formatSiteStatus),
+  checkSite: async siteName => {
+    const site = loadSites().find(entry => entry.name === siteName);
+    if (!site) return null;
+    const { data, cached } = await runManualCheck(`site:${siteName}`, [site]);
+    return { ...data.results[0], cached };
+  },
+  muteSite: setSiteMute,
+  listIncidents
+});
+
 /**
  * API Endpoint: GET /api/check
- * Checks all configured websites and returns their status
+ * Checks all configured websites (or one, with ?site=, or a group/tag with ?group= and ?tag=)
+ * and returns their status
+ * Concurrent requests share one run and recent results are reused (cached: true);
+ * each client is limited to MANUAL_CHECK_RATE_LIMIT requests per minute (429 beyond that)
  */
-app.get('/api/check', async (req, res) => {
+app.get('/api/check', manualCheckLimiter, async (req, res) => {
   try {
-    const sites = loadSites();
+    let sites = loadSites();
 
     if (sites.length === 0) {
       return res.status(400).json({
@@ -351,29 +1089,53 @@ app.get('/api/check', async (req, res) => {
       });
     }
 
-    // Check all sites in parallel
-    const checkPromises = sites.map(site =>
-      checkSite(site.url).then(result => ({
-        name: site.name,
-        url: site.url,
-        ...result
-      }))
-    );
+    const siteName = req.query.site;
+    if (siteName !== undefined) {
+      sites = sites.filter(site => site.name === siteName);
+      if (sites.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: `Site "${siteName}" not found`
+        });
+      }
+    }
 
-    const results = await Promise.all(checkPromises);
+    const filter = parseSiteFilter(req.query);
+    if (filter) {
+      sites = sites.filter(site => matchesSiteFilter(site, filter));
+      if (sites.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'No sites match the group/tag filter'
+        });
+      }
+    }
+
+    let scope = 'all';
+    if (siteName !== undefined) {
+      scope = `site:${siteName}`;
+    } else if (filter) {
+      scope = `filter:${filter.group || ''}/${filter.tags.slice().sort().join(',')}`;
+    }
+    const { data, cached, coalesced } = await runManualCheck(scope, sites);
+    const results = data.results;
 
     // Calculate summary statistics
     const upCount = results.filter(r => r.status === 'UP').length;
+    const degradedCount = results.filter(r => r.status === 'DEGRADED').length;
     const downCount = results.filter(r => r.status === 'DOWN').length;
 
     res.json({
       success: true,
-      timestamp: new Date().toISOString(),
+      timestamp: data.checkedAt,
+      cached,
+      coalesced,
       summary: {
         total: results.length,
         up: upCount,
+        degraded: degradedCount,
         down: downCount,
-        uptime: `${((upCount / results.length) * 100).toFixed(1)}%`
+        uptime: formatUptime24h(results.map(r => r.name))
       },
       sites: results
     });
@@ -416,46 +1178,63 @@ app.get('/', (req, res) => {
     version: '1.0.0',
     endpoints: {
       health: 'GET /health - Health check (lightweight, use for keep-alive)',
-      check: 'GET /api/check - Check all configured websites (manual)',
-      status: 'GET /api/status - Get last known status of all sites',
-      'site-status': 'GET /api/status/:siteName - Get last known status of specific site'
+      check: 'GET /api/check?site=&group=&tag= - Check all configured websites, or one, a group or a tag (manual, rate limited)',
+      status: 'GET /api/status?group=&tag= - Get last known status of all sites (or a group/tag) with group summaries',
+      'site-status': 'GET /api/status/:siteName - Get last known status of specific site',
+      events: 'GET /api/events - Live check results and state changes (Server-Sent Events)',
+      history: 'GET /api/history/:siteName?from=&to=&limit= - Recorded check results for a site',
+      sla: 'GET /api/sla?from=&to= - Availability and response time over 24h/7d/30d (and a custom window)',
+      'site-sla': 'GET /api/sla/:siteName?from=&to= - SLA figures for a specific site',
+      incidents: 'GET /api/incidents?site=&status=&limit= - Recorded outages, newest first',
+      incident: 'GET /api/incidents/:id - Details of a single incident',
+      'incident-notes': 'POST /api/incidents/:id/notes - Attach a note ({ text, author, acknowledge })',
+      sites: 'GET /api/sites - Site definitions from sites.json',
+      'site-definition': 'GET /api/sites/:siteName - A single site definition',
+      'add-site': 'POST /api/sites - Add a site (same fields as a sites.json entry)',
+      'update-site': 'PUT /api/sites/:siteName - Replace a site definition',
+      'delete-site': 'DELETE /api/sites/:siteName - Remove a site',
+      'status-page': 'GET /status - Public status page (HTML)',
+      badge: 'GET /badge/:siteName.svg?label=&window= - Embeddable status badge (SVG)',
+      reports: 'GET /api/reports/:period - Daily or weekly digest report (daily, weekly)',
+      metrics: 'GET /metrics - Prometheus metrics',
+      'telegram-webhook': 'POST /telegram/webhook - Telegram bot commands (webhook mode)'
     }
   });
 });
 
 /**
  * API Endpoint: GET /api/status
- * Returns last known status of all monitored sites from background monitoring
+ * Returns last known status of all monitored sites from background monitoring,
+ * with a summary per group; ?group= and ?tag= narrow it to matching sites
  */
 app.get('/api/status', (req, res) => {
-  const statusData = Object.values(monitoringState).map(state => ({
-    name: state.name,
-    url: state.url,
-    lastStatus: state.lastStatus,
-    lastCheckedAt: state.lastCheckedAt,
-    lastChangedAt: state.lastChangedAt,
-    changeCount: state.changeCount,
-    lastStatusCode: state.lastStatusCode,
-    lastError: state.lastError
-  }));
-
-  const upCount = statusData.filter(s => s.lastStatus === 'UP').length;
-  const downCount = statusData.filter(s => s.lastStatus === 'DOWN').length;
+  const filter = parseSiteFilter(req.query);
+  const statusData = Object.values(monitoringState)
+    .map(formatSiteStatus)
+    .filter(status => matchesSiteFilter(status, filter));
 
   res.json({
     success: true,
     timestamp: new Date().toISOString(),
     source: 'automatic-monitoring',
-    summary: {
-      total: statusData.length,
-      up: upCount,
-      down: downCount,
-      uptime: statusData.length > 0 ? `${((upCount / statusData.length) * 100).toFixed(1)}%` : 'N/A'
-    },
+    summary: summarizeStatuses(statusData),
+    groups: summarizeGroups(statusData),
     sites: statusData
   });
 });
 
+/**
+ * API Endpoint: GET /api/events
+ * Server-Sent Events stream of live updates:
+ *   check         a site's status after each background check (same shape as /api/status sites)
+ *   state-change  a confirmed status change ({ siteName, previousStatus, newStatus, ... })
+ *   sites         the list of monitored sites changed ({ names })
+ * Browsers' EventSource can't send headers, so the API key may be passed as ?access_token=
+ */
+app.get('/api/events', (req, res) => {
+  liveEvents.subscribe(req, res);
+});
+
 /**
  * API Endpoint: GET /api/status/:siteName
  * Returns detailed last known status of a specific site
@@ -471,24 +1250,515 @@ app.get('/api/status/:siteName', (req, res) => {
     });
   }
 
+  res.json({
+    success: true,
+    timestamp: new Date().toISOString(),
+    site: formatSiteStatus(state)
+  });
+});
+
+/**
+ * Parse a time query parameter given as ISO 8601 or epoch milliseconds
+ * @param {string} value - Raw query value
+ * @returns {number|undefined|null} Epoch ms, undefined when absent, null when invalid
+ */
+function parseTimeParam(value) {
+  if (value === undefined || value === '') return undefined;
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  return isNaN(time) ? null : time;
+}
+
+/**
+ * API Endpoint: GET /api/history/:siteName
+ * Returns recorded check results for a site, oldest first
+ * Query: from, to (ISO 8601 or epoch ms), limit (most recent N, default 500, max 5000)
+ */
+app.get('/api/history/:siteName', (req, res) => {
+  const { siteName } = req.params;
+
+  if (!getSiteState(siteName)) {
+    return res.status(404).json({
+      success: false,
+      message: `Site "${siteName}" not found in monitoring`
+    });
+  }
+
+  const from = parseTimeParam(req.query.from);
+  const to = parseTimeParam(req.query.to);
+  const limit = req.query.limit === undefined ? 500 : Number(req.query.limit);
+
+  if (from === null || to === null) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid "from" or "to" (use ISO 8601 or epoch milliseconds)'
+    });
+  }
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > 5000) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid "limit" (must be an integer between 1 and 5000)'
+    });
+  }
+
+  const checks = getHistory(siteName, { from, to, limit });
+
+  res.json({
+    success: true,
+    timestamp: new Date().toISOString(),
+    site: siteName,
+    from: from !== undefined ? new Date(from).toISOString() : null,
+    to: to !== undefined ? new Date(to).toISOString() : null,
+    count: checks.length,
+    checks: checks
+  });
+});
+
+/**
+ * Parse an optional custom SLA window from the query string
+ * @returns {Object} { custom } on success (custom may be undefined), or { error }
+ */
+function parseSlaWindow(query) {
+  const from = parseTimeParam(query.from);
+  const to = parseTimeParam(query.to);
+
+  if (from === null || to === null) {
+    return { error: 'Invalid "from" or "to" (use ISO 8601 or epoch milliseconds)' };
+  }
+  if (from === undefined) {
+    return to === undefined ? {} : { error: '"to" requires "from"' };
+  }
+
+  const end = to === undefined ? Date.now() : to;
+  if (end <= from) {
+    return { error: '"from" must be before "to"' };
+  }
+  return { custom: { from, to: end } };
+}
+
+/**
+ * API Endpoint: GET /api/sla
+ * Returns per-site availability and response time stats over rolling windows
+ * Query: from, to (optional custom window, reported as "custom")
+ */
+app.get('/api/sla', (req, res) => {
+  const { custom, error } = parseSlaWindow(req.query);
+  if (error) {
+    return res.status(400).json({ success: false, message: error });
+  }
+
+  const now = Date.now();
+  const sites = Object.values(monitoringState).map(state => ({
+    name: state.name,
+    url: state.url,
+    windows: getSiteSla(state.name, { now, custom })
+  }));
+
+  const overall = {};
+  Object.keys(SLA_WINDOWS).concat(custom ? ['custom'] : []).forEach(label => {
+    overall[label] = combinedAvailability(sites.map(site => site.windows[label]));
+  });
+
+  res.json({
+    success: true,
+    timestamp: new Date(now).toISOString(),
+    overall: overall,
+    sites: sites
+  });
+});
+
+/**
+ * API Endpoint: GET /api/sla/:siteName
+ * Returns availability and response time stats for a specific site
+ */
+app.get('/api/sla/:siteName', (req, res) => {
+  const { siteName } = req.params;
+  const state = getSiteState(siteName);
+
+  if (!state) {
+    return res.status(404).json({
+      success: false,
+      message: `Site "${siteName}" not found in monitoring`
+    });
+  }
+
+  const { custom, error } = parseSlaWindow(req.query);
+  if (error) {
+    return res.status(400).json({ success: false, message: error });
+  }
+
   res.json({
     success: true,
     timestamp: new Date().toISOString(),
     site: {
       name: state.name,
       url: state.url,
-      lastStatus: state.lastStatus,
-      lastCheckedAt: state.lastCheckedAt,
-      lastChangedAt: state.lastChangedAt,
-      changeCount: state.changeCount,
-      lastStatusCode: state.lastStatusCode,
-      lastError: state.lastError
+      windows: getSiteSla(siteName, { custom })
     }
   });
 });
 
+/**
+ * API Endpoint: GET /api/incidents
+ * Lists recorded incidents, newest first
+ * Query: site, status (open | resolved), limit (default 50, max 500)
+ */
+app.get('/api/incidents', (req, res) => {
+  const { site, status } = req.query;
+  const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+
+  if (status !== undefined && status !== 'open' && status !== 'resolved') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid "status" (use "open" or "resolved")'
+    });
+  }
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid "limit" (must be an integer between 1 and 500)'
+    });
+  }
+
+  const incidents = listIncidents({ site, status, limit });
+
+  res.json({
+    success: true,
+    timestamp: new Date().toISOString(),
+    count: incidents.length,
+    incidents: incidents
+  });
+});
+
+/**
+ * Look up the incident named by the :id route parameter
+ * Sends a 404 and returns null when it does not exist
+ */
+function findIncidentOr404(req, res) {
+  const incident = getIncident(Number(req.params.id));
+  if (!incident) {
+    res.status(404).json({
+      success: false,
+      message: `Incident "${req.params.id}" not found`
+    });
+    return null;
+  }
+  return incident;
+}
+
+/**
+ * API Endpoint: GET /api/incidents/:id
+ * Returns a single incident including its notes
+ */
+app.get('/api/incidents/:id', (req, res) => {
+  const incident = findIncidentOr404(req, res);
+  if (!incident) return;
+
+  res.json({
+    success: true,
+    timestamp: new Date().toISOString(),
+    incident: incident
+  });
+});
+
+/**
+ * API Endpoint: POST /api/incidents/:id/notes
+ * Attaches a note to an incident
+ * Body: { text (required), author, acknowledge (marks the incident acknowledged) }
+ * Requires an admin API key
+ */
+app.post('/api/incidents/:id/notes', requireScope('admin'), (req, res) => {
+  const incident = findIncidentOr404(req, res);
+  if (!incident) return;
+
+  const { text, author, acknowledge } = req.body || {};
+
+  if (typeof text !== 'string' || !text.trim() || text.length > 2000) {
+    return res.status(400).json({
+      success: false,
+      message: '"text" is required (1-2000 characters)'
+    });
+  }
+
+  if (author !== undefined && (typeof author !== 'string' || author.length > 100)) {
+    return res.status(400).json({
+      success: false,
+      message: '"author" must be a string of at most 100 characters'
+    });
+  }
+
+  const note = addIncidentNote(incident, {
+    text: text.trim(),
+    author: (author && author.trim()) || req.apiKey.name,
+    acknowledge: Boolean(acknowledge)
+  });
+
+  res.status(201).json({
+    success: true,
+    timestamp: new Date().toISOString(),
+    note: note,
+    incident: incident
+  });
+});
+
+/**
+ * Read sites.json entries for the site management endpoints, or respond with 500
+ * @returns {Array|null} Raw entries, or null when a response was already sent
+ */
+function readSiteEntriesOr500(res) {
+  try {
+    return readSiteEntries();
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: `sites.json could not be read: ${error.message}`
+    });
+    return null;
+  }
+}
+
+/**
+ * Apply a sites.json edit and respond; on success monitoring picks up the change immediately
+ * @param {Object} res - Express response
+ * @param {string|null} siteName - Entry to replace or remove (null to add)
+ * @param {Object|null} site - New entry (null to remove)
+ * @param {number} successStatus - HTTP status on success
+ */
+function saveSiteAndRespond(res, siteName, site, successStatus) {
+  let result;
+  try {
+    result = saveSiteEntry(siteName, site);
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: `sites.json could not be updated: ${error.message}`
+    });
+  }
+
+  if (result.status !== 'ok') {
+    const httpStatus = { invalid: 400, 'not-found': 404, conflict: 409 }[result.status];
+    return res.status(httpStatus).json({
+      success: false,
+      message: result.errors.join('; '),
+      errors: result.errors
+    });
+  }
+
+  const saved = result.site;
+  syncMonitoredSites();
+  console.log(`📝 sites.json updated via API: ${saved ? `saved ${saved.name}` : `removed ${siteName}`}`);
+
+  res.status(successStatus).json({
+    success: true,
+    timestamp: new Date().toISOString(),
+    site: saved,
+    nextCheckAt: saved ? monitoringScheduler.getNextCheckAt(saved.name) : null
+  });
+}
+
+/**
+ * Respond with 400 unless the request body is a JSON object
+ * @returns {boolean} Whether the body is usable
+ */
+function requireObjectBody(req, res) {
+  if (isPlainObject(req.body)) {
+    return true;
+  }
+  res.status(400).json({
+    success: false,
+    message: 'Request body must be a JSON object'
+  });
+  return false;
+}
+
+/**
+ * API Endpoint: GET /api/sites
+ * Returns the site definitions stored in sites.json (as written, without defaults)
+ * Entries that fail validation are listed in errors
+ * Requires an admin API key
+ */
+app.get('/api/sites', requireScope('admin'), (req, res) => {
+  const entries = readSiteEntriesOr500(res);
+  if (!entries) return;
+
+  res.json({
+    success: true,
+    timestamp: new Date().toISOString(),
+    count: entries.length,
+    sites: entries,
+    errors: validateSites(entries).errors
+  });
+});
+
+/**
+ * API Endpoint: GET /api/sites/:siteName
+ * Returns a single stored site definition
+ * Requires an admin API key
+ */
+app.get('/api/sites/:siteName', requireScope('admin'), (req, res) => {
+  const entries = readSiteEntriesOr500(res);
+  if (!entries) return;
+
+  const site = entries.find(entry => entryHasName(entry, req.params.siteName));
+  if (!site) {
+    return res.status(404).json({
+      success: false,
+      message: `Site "${req.params.siteName}" not found`
+    });
+  }
+
+  res.json({
+    success: true,
+    timestamp: new Date().toISOString(),
+    site: site
+  });
+});
+
+/**
+ * API Endpoint: POST /api/sites
+ * Adds a site (same fields as a sites.json entry); it is checked right away
+ * Requires an admin API key
+ */
+app.post('/api/sites', requireScope('admin'), (req, res) => {
+  if (!requireObjectBody(req, res)) return;
+  saveSiteAndRespond(res, null, req.body, 201);
+});
+
+/**
+ * API Endpoint: PUT /api/sites/:siteName
+ * Replaces a site definition; "name" defaults to the current name (set it to rename)
+ * Requires an admin API key
+ */
+app.put('/api/sites/:siteName', requireScope('admin'), (req, res) => {
+  if (!requireObjectBody(req, res)) return;
+  saveSiteAndRespond(res, req.params.siteName, { name: req.params.siteName, ...req.body }, 200);
+});
+
+/**
+ * API Endpoint: DELETE /api/sites/:siteName
+ * Removes a site and stops monitoring it
+ * Requires an admin API key
+ */
+app.delete('/api/sites/:siteName', requireScope('admin'), (req, res) => {
+  saveSiteAndRespond(res, req.params.siteName, null, 200);
+});
+
+/**
+ * Status shown publicly for a site (MAINTENANCE, then FLAPPING take precedence over the last status)
+ */
+function publicStatusOf(state) {
+  if (state.maintenance) return 'MAINTENANCE';
+  if (state.flapping) return 'FLAPPING';
+  return state.lastStatus;
+}
+
+/**
+ * API Endpoint: GET /api/reports/:period
+ * The digest report for the last full day or week (the same one the schedule sends)
+ */
+app.get('/api/reports/:period', (req, res) => {
+  const { period } = req.params;
+  if (!REPORT_PERIODS.includes(period)) {
+    return res.status(400).json({
+      success: false,
+      message: `Unknown report period "${period}" (use ${REPORT_PERIODS.join(' or ')})`
+    });
+  }
+
+  res.json({
+    success: true,
+    timestamp: new Date().toISOString(),
+    schedule: REPORT_SCHEDULES[period],
+    report: buildReport(period, { sites: getReportSites(), timezone: REPORT_TIMEZONE })
+  });
+});
+
+/**
+ * Telegram Webhook: POST /telegram/webhook
+ * Receives bot commands when the telegram channel's commands.mode is "webhook"
+ * Outside /api because Telegram authenticates with its secret token header, not an API key
+ */
+app.post('/telegram/webhook', telegramBot.handleWebhook);
+
+/**
+ * Public Page: GET /status
+ * Read-only status page for customers: current state, 90-day uptime bars and recent incidents
+ * Sites with "public": false are left out
+ */
+app.get('/status', (req, res) => {
+  const now = Date.now();
+  const from = now - 90 * 24 * 60 * 60 * 1000;
+  const publicStates = Object.values(monitoringState).filter(state => state.public !== false);
+  const publicNames = new Set(publicStates.map(state => state.name));
+
+  const sites = publicStates.map(state => ({
+    name: state.name,
+    status: publicStatusOf(state),
+    uptime: computeSla(getHistory(state.name, { from, to: now }), from, now).availability,
+    daily: getDailyAvailability(state.name, { days: 90, now })
+  }));
+
+  const incidents = listIncidents()
+    .filter(incident => publicNames.has(incident.siteName))
+    .slice(0, 10);
+
+  res.set('Cache-Control', 'public, max-age=30');
+  res.type('html').send(renderStatusPage({ sites, incidents, generatedAt: new Date(now).toISOString() }));
+});
+
+/**
+ * Public Badge: GET /badge/:siteName.svg
+ * SVG badge with a site's status and uptime, for embedding in READMEs and web pages
+ * Query: label (default: site name), window (24h, 7d or 30d uptime; default 30d)
+ */
+app.get('/badge/:siteName.svg', (req, res) => {
+  const state = getSiteState(req.params.siteName);
+  const label = typeof req.query.label === 'string' && req.query.label.length <= 50
+    ? req.query.label
+    : req.params.siteName;
+
+  res.set('Cache-Control', 'no-cache, max-age=60');
+  res.type('image/svg+xml');
+
+  if (!state || state.public === false) {
+    return res.status(404).send(renderBadge({ label, message: 'not found', status: 'UNKNOWN' }));
+  }
+
+  const windowLabel = Object.hasOwn(SLA_WINDOWS, req.query.window) ? req.query.window : '30d';
+  const now = Date.now();
+  const from = now - SLA_WINDOWS[windowLabel];
+  const availability = computeSla(getHistory(state.name, { from, to: now }), from, now).availability;
+  const status = publicStatusOf(state) || 'UNKNOWN';
+  const message = availability === null ? status : `${status} · ${availability.toFixed(2)}%`;
+
+  res.send(renderBadge({ label, message, status }));
+});
+
+/**
+ * Metrics Endpoint: GET /metrics
+ * Prometheus text exposition: per-site gauges, check/failure/state change counters,
+ * response time histograms and process metrics
+ */
+app.get('/metrics', requireScope('read'), async (req, res, next) => {
+  try {
+    res.set('Content-Type', monitoringMetrics.contentType);
+    res.send(await monitoringMetrics.render());
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Error handling middleware
 app.use((err, req, res, next) => {
+  // Malformed JSON (or a bare null/number, which express.json() rejects) is the client's fault
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid JSON body: ${err.message}`
+    });
+  }
+
   console.error('Server Error:', err);
   res.status(500).json({
     success: false,
@@ -501,34 +1771,128 @@ app.use((err, req, res, next) => {
 // BACKGROUND MONITORING SETUP
 // ============================================================================
 
+// Digest reports: cron expressions for when each is sent ("off" disables it), in REPORT_TIMEZONE
+const REPORT_SCHEDULES = {
+  daily: process.env.REPORT_DAILY_SCHEDULE || '0 8 * * *',
+  weekly: process.env.REPORT_WEEKLY_SCHEDULE || '0 8 * * 1'
+};
+const REPORT_TIMEZONE = resolveReportTimezone(process.env.REPORT_TIMEZONE);
+
+/**
+ * Check REPORT_TIMEZONE once at startup; an unknown zone falls back to UTC (with a warning)
+ * so reports still go out and /api/reports/:period keeps working
+ * @param {string|undefined} value - IANA timezone such as "Europe/Berlin"
+ * @returns {string}
+ */
+function resolveReportTimezone(value) {
+  if (!value) return 'UTC';
+  try {
+    new Intl.DateTimeFormat(undefined, { timeZone: value });
+    return value;
+  } catch (error) {
+    console.error(`⚠️ REPORT_TIMEZONE "${value}" is not a valid IANA timezone, using UTC for reports`);
+    return 'UTC';
+  }
+}
+
+/**
+ * Monitored sites with what reports need: latest certificate and warning thresholds
+ */
+function getReportSites() {
+  return loadSites()
+    .filter(site => monitoringState[site.name])
+    .map(site => ({
+      name: site.name,
+      url: site.url,
+      group: site.group,
+      certificate: monitoringState[site.name].lastTls,
+      warningDays: site.tls ? site.tls.warningDays : []
+    }));
+}
+
 /**
- * Schedule automatic monitoring every 5 minutes
-  * Uses cron expression: every 5 minutes
+ * Build a digest report and send it to the channels that take "report" alerts (non-blocking)
+ * @param {string} period - 'daily' or 'weekly'
+ */
+async function sendReport(period) {
+  const report = buildReport(period, { sites: getReportSites(), timezone: REPORT_TIMEZONE });
+  const alert = formatReportAlert(report);
+  console.log(`📊 Sending ${period} report for ${report.summary.sites} sites: ${alert.title}`);
+
+  await notify(null, {
+    event: 'report',
+    ...alert,
+    period,
+    from: report.from,
+    to: report.to,
+    availability: report.summary.availability,
+    incidents: report.summary.incidents,
+    downtimeMs: report.summary.downtimeMs,
+    report
+  });
+}
+
+/**
+ * Start per-site automatic monitoring
+ * Each site is checked on its own interval by the scheduler; a 5 minute cron
+ * re-reads sites.json and logs a status summary
  */
 function setupAutomaticMonitoring() {
   console.log('⏰ Setting up automatic monitoring scheduler...');
 
-  // Initialize state first
-  initializeMonitoringState();
+  // Load recorded history and drop anything past retention
+  loadHistory();
+  compactHistory();
 
-  // Run first check immediately on startup
-  console.log('🚀 Running initial monitoring cycle...');
-  performAutomaticMonitoring().catch(error => {
-    console.error('❌ Initial monitoring error:', error.message);
-  });
+  // Restore incidents (open ones continue across restarts) and drop old resolved ones
+  loadIncidents();
+  pruneIncidents();
+
+  // Alert channels from notifiers.json (or TELEGRAM_* environment variables)
+  loadNotifiers();
+
+  // Initialize state and start checking (first checks are staggered over a few seconds)
+  console.log('🚀 Starting per-site checks...');
+  syncMonitoredSites();
 
-  // Schedule automatic checks every 5 minutes
-  const monitoringCron = cron.schedule('*/5 * * * *', async () => {
+  // Answer Telegram bot commands (polling idles until a channel enables it)
+  telegramBot.start();
+
+  // Pick up sites.json and notifiers.json edits and log a summary every 5 minutes
+  const monitoringCron = cron.schedule('*/5 * * * *', () => {
     try {
-      await performAutomaticMonitoring();
+      syncMonitoredSites();
+      loadNotifiers();
+      logMonitoringSummary();
     } catch (error) {
       console.error('❌ Scheduled monitoring error:', error.message);
     }
-  }, {
-    scheduled: true
   });
 
-  console.log('✓ Automatic monitoring scheduled: every 5 minutes');
+  // Compact check history and prune old incidents once a day
+  cron.schedule('0 3 * * *', () => {
+    compactHistory();
+    pruneIncidents();
+  });
+
+  // Daily and weekly digest reports
+  Object.entries(REPORT_SCHEDULES).forEach(([period, schedule]) => {
+    if (schedule === 'off') return;
+    if (!cron.validate(schedule)) {
+      console.error(`⚠️ ${period} report not scheduled: "${schedule}" is not a valid cron expression`);
+      return;
+    }
+    try {
+      cron.schedule(schedule, () => {
+        sendReport(period).catch(error => console.error(`❌ ${period} report failed:`, error.message));
+      }, { timezone: REPORT_TIMEZONE });
+      console.log(`✓ ${period} report scheduled: "${schedule}" (${REPORT_TIMEZONE})`);
+    } catch (error) {
+      console.error(`⚠️ ${period} report not scheduled: ${error.message}`);
+    }
+  });
+
+  console.log('✓ Automatic monitoring scheduled: per-site intervals');
   console.log('✓ Use /api/status endpoint to get last known status');
   console.log('✓ Use /api/check endpoint for manual checks');
 
@@ -541,6 +1905,7 @@ app.listen(PORT, () => {
   console.log(`✓ API endpoint: http://localhost:${PORT}/api/check`);
   const sites = loadSites();
   console.log(`✓ Monitoring ${sites.length} websites`);
+  logAuthConfig();
   console.log('');
 
   // Setup automatic background monitoring
@@ -0,0 +1,701 @@
+/**
+ * Site Definition Schema
+ * Validates entries in sites.json and fills in check defaults
+ *
+ * Common fields:
+ *   name            (required) unique display name
+ *   type            http | tcp | dns | transaction (default http)
+ *   timeout         request timeout in ms (default 5000)
+ *   interval        how often the site is checked: "30s", "15m", "1h" or seconds
+ *                   (default CHECK_INTERVAL or 5m, between 10s and 24h); normalized to ms
+ *   confirmation    when a failure/recovery counts as a state change:
+ *                   { failures: 2, window: 2, recoveries: 1, recheckDelay: "15s" }
+ *                   DOWN needs `failures` failed checks among the last `window` checks, UP needs
+ *                   `recoveries` consecutive successes; unconfirmed results are rechecked after recheckDelay
+ *   flapping        { window: 10, threshold: 5 } - FLAPPING when the last `window` checks contain
+ *                   `threshold` status changes (until they drop to half of it); false disables it
+ *   public          whether the site is shown on the public /status page and badges (default true)
+ *   group           group the site belongs to, e.g. "personal" or "infra" (default none)
+ *   tags            free-form labels, e.g. ["wordpress", "eu"]; normalized to lower case (default [])
+ *   notify          names of the notifiers.json channels that receive this site's alerts
+ *                   (default: every channel not marked "default": false)
+ *   maintenance     maintenance windows for this site, see maintenance.js (default [])
+ *   latency         response time thresholds: { warn: 2000, critical: "8s" } (ms or durations);
+ *                   a successful check at or above warn is DEGRADED; at or above critical it is
+ *                   DEGRADED with latencyLevel "critical" (critical alert severity), never DOWN
+ *   reminders       repeat the DOWN alert while the outage lasts: { every: "1h" } (default);
+ *                   false disables them. They stop once the incident is acknowledged
+ *   escalation      { after: "30m", notify: ["oncall"] } - also alert these channels once an
+ *                   unacknowledged outage lasts `after`; they then get its reminders and recovery
+ *
+ * HTTP fields (type "http"):
+ *   url             (required) http(s) URL to check
+ *   method          GET | HEAD | POST | PUT | PATCH | DELETE | OPTIONS (default GET)
+ *   headers         { "Header-Name": "value" } merged over the default browser headers,
+ *                   values may reference environment variables as ${VAR_NAME}
+ *   body            request body; objects are sent as JSON (not allowed for GET/HEAD)
+ *   expectedStatus  status codes counted as UP: numbers and/or "min-max" ranges (default ["200-399"])
+ *   followRedirects whether redirects are followed (default true)
+ *   maxRedirects    maximum redirects to follow (default 5)
+ *   redirects       checks on the redirect chain, see redirects.js:
+ *                   { expectedUrl, expectedHost, allowedHosts: [...], allowDowngrade: false }
+ *   assertions      response body checks, see assertions.js (default [])
+ *   tls             certificate monitoring for https URLs:
+ *                   { warningDays: [30, 14, 7], requireValidChain: false }
+ *                   requireValidChain marks the site DOWN when the certificate is expired,
+ *                   untrusted or does not match the host
+ *
+ * TCP fields (type "tcp"):
+ *   host, port      (required) endpoint to connect to
+ *   banner          optional greeting to wait for: a substring, or { "regex": "...", "flags": "i" }
+ *
+ * DNS fields (type "dns"):
+ *   hostname        (required) name to resolve
+ *   recordType      A | AAAA | CNAME | MX | TXT (default A)
+ *   expected        values that must all be present in the answer (default [], any answer is UP)
+ *   resolver        DNS server IP to query instead of the system resolver
+ *
+ * Transaction fields (type "transaction"), see transactions.js:
+ *   url             (required) base http(s) URL; relative step URLs are resolved against it
+ *   steps           (required) 1-20 HTTP requests run in order, sharing cookies. Each step takes
+ *                   the HTTP fields above (url, method, headers, body, expectedStatus,
+ *                   followRedirects, maxRedirects, redirects, assertions) plus:
+ *                   name     label used in results (default "Step n")
+ *                   extract  { "varName": rule } values to reuse as {{varName}} in the url,
+ *                            headers and body of later steps; a rule is one of
+ *                            { "regex": "...", "flags": "i", "group": 1 }, { "jsonPath": "$.token" },
+ *                            { "header": "X-CSRF-Token" } or { "cookie": "csrftoken" }
+ *
+ * TCP and DNS sites get a display url derived from their target (tcp://host:port, dns://hostname/TYPE)
+ */
+
+const net = require('net');
+const { isPlainObject, parseDuration } = require('./utils');
+const { validateAssertions, parseJsonPath } = require('./assertions');
+const { DEFAULT_TLS_WARNING_DAYS } = require('./tls');
+const { DNS_RECORD_TYPES } = require('./netChecks');
+const { validateMaintenanceWindows, normalizeMaintenanceWindow } = require('./maintenance');
+const { validateRedirectPolicy, normalizeRedirectPolicy } = require('./redirects');
+
+const CHECK_TYPES = ['http', 'tcp', 'dns', 'transaction'];
+
+const HTTP_METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'];
+
+const MAX_TRANSACTION_STEPS = 20;
+
+// {{varName}} references to values extracted by earlier transaction steps
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z_][\w-]*)\s*\}\}/g;
+
+const EXTRACTION_SOURCES = ['regex', 'jsonPath', 'header', 'cookie'];
+
+const MIN_INTERVAL_MS = 10 * 1000;
+const MAX_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+const SITE_DEFAULTS = {
+  type: 'http',
+  timeout: 5000,
+  interval: process.env.CHECK_INTERVAL || '5m',
+  public: true
+};
+
+const CONFIRMATION_DEFAULTS = {
+  failures: 2,
+  recoveries: 1,
+  recheckDelay: '15s'
+};
+
+const FLAPPING_DEFAULTS = {
+  window: 10,
+  threshold: 5
+};
+
+const TAG_PATTERN = /^[\w.-]{1,30}$/;
+
+const REMINDER_DEFAULTS = {
+  every: '1h'
+};
+
+const HTTP_DEFAULTS = {
+  method: 'GET',
+  headers: {},
+  expectedStatus: ['200-399'],
+  followRedirects: true,
+  maxRedirects: 5,
+  assertions: []
+};
+
+const DNS_DEFAULTS = {
+  recordType: 'A',
+  expected: []
+};
+
+const TLS_DEFAULTS = {
+  warningDays: DEFAULT_TLS_WARNING_DAYS,
+  requireValidChain: false
+};
+
+/**
+ * Parse one expectedStatus entry into an inclusive [min, max] range
+ * @param {number|string} entry - e.g. 401 or "200-299"
+ * @returns {Array<number>|null} Range, or null when invalid
+ */
+function parseStatusRange(entry) {
+  if (Number.isInteger(entry)) {
+    return entry >= 100 && entry <= 599 ? [entry, entry] : null;
+  }
+  if (typeof entry !== 'string') {
+    return null;
+  }
+
+  const match = entry.trim().match(/^(\d{3})(?:\s*-\s*(\d{3}))?$/);
+  if (!match) return null;
+  const min = Number(match[1]);
+  const max = match[2] ? Number(match[2]) : min;
+  return min >= 100 && max <= 599 && min <= max ? [min, max] : null;
+}
+
+/**
+ * Check whether a status code is one of the site's expected codes
+ * @param {number} statusCode - HTTP status code
+ * @param {Array} expectedStatus - Site's expectedStatus list
+ * @returns {boolean}
+ */
+function isExpectedStatus(statusCode, expectedStatus) {
+  return expectedStatus.some(entry => {
+    const range = parseStatusRange(entry);
+    return range !== null && statusCode >= range[0] && statusCode <= range[1];
+  });
+}
+
+/**
+ * Check for an absolute http(s) URL
+ */
+function isHttpUrl(value) {
+  try {
+    const parsed = new URL(value);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Validate fields of an HTTP site
+ * @param {Object} site - Raw site definition
+ * @param {Array<string>} errors - Collected error messages
+ */
+function validateHttpFields(site, errors) {
+  if (!isHttpUrl(site.url)) {
+    errors.push('"url" must be an absolute http(s) URL');
+  }
+
+  const method = typeof site.method === 'string' ? site.method.toUpperCase() : site.method;
+  if (site.method !== undefined && !HTTP_METHODS.includes(method)) {
+    errors.push(`"method" must be one of ${HTTP_METHODS.join(', ')}`);
+  }
+
+  if (site.headers !== undefined) {
+    if (!isPlainObject(site.headers) || Object.values(site.headers).some(value => typeof value !== 'string')) {
+      errors.push('"headers" must be an object of string values');
+    }
+  }
+
+  if (site.body !== undefined) {
+    if (typeof site.body !== 'string' && typeof site.body !== 'object') {
+      errors.push('"body" must be a string or JSON value');
+    } else if (method === undefined || method === 'GET' || method === 'HEAD') {
+      errors.push('"body" requires a method other than GET or HEAD');
+    }
+  }
+
+  if (site.expectedStatus !== undefined) {
+    const entries = Array.isArray(site.expectedStatus) ? site.expectedStatus : [site.expectedStatus];
+    if (entries.length === 0 || entries.some(entry => parseStatusRange(entry) === null)) {
+      errors.push('"expectedStatus" must be status codes (100-599) or "min-max" ranges');
+    }
+  }
+
+  if (site.followRedirects !== undefined && typeof site.followRedirects !== 'boolean') {
+    errors.push('"followRedirects" must be true or false');
+  }
+
+  if (site.maxRedirects !== undefined && (!Number.isInteger(site.maxRedirects) || site.maxRedirects < 0 || site.maxRedirects > 20)) {
+    errors.push('"maxRedirects" must be an integer between 0 and 20');
+  }
+
+  if (site.redirects !== undefined) {
+    errors.push(...validateRedirectPolicy(site.redirects));
+  }
+
+  if (site.assertions !== undefined) {
+    errors.push(...validateAssertions(site.assertions));
+  }
+
+  if (site.tls !== undefined) {
+    if (!isPlainObject(site.tls)) {
+      errors.push('"tls" must be an object');
+    } else {
+      const { warningDays, requireValidChain } = site.tls;
+      if (warningDays !== undefined && (!Array.isArray(warningDays) || warningDays.some(days => !Number.isInteger(days) || days < 0))) {
+        errors.push('"tls.warningDays" must be an array of non-negative integers');
+      }
+      if (requireValidChain !== undefined && typeof requireValidChain !== 'boolean') {
+        errors.push('"tls.requireValidChain" must be true or false');
+      }
+    }
+  }
+}
+
+/**
+ * Validate fields of a TCP site
+ * @param {Object} site - Raw site definition
+ * @param {Array<string>} errors - Collected error messages
+ */
+function validateTcpFields(site, errors) {
+  if (typeof site.host !== 'string' || !site.host.trim()) {
+    errors.push('"host" is required for tcp checks');
+  }
+
+  if (!Number.isInteger(site.port) || site.port < 1 || site.port > 65535) {
+    errors.push('"port" must be an integer between 1 and 65535');
+  }
+
+  if (site.banner !== undefined) {
+    if (isPlainObject(site.banner)) {
+      try {
+        if (typeof site.banner.regex !== 'string') {
+          throw new Error('regex is not a string');
+        }
+        new RegExp(site.banner.regex, site.banner.flags);
+      } catch (error) {
+        errors.push('"banner.regex" must be a valid regular expression');
+      }
+    } else if (typeof site.banner !== 'string' || site.banner === '') {
+      errors.push('"banner" must be a non-empty string or { "regex": "..." }');
+    }
+  }
+}
+
+/**
+ * Validate fields of a DNS site
+ * @param {Object} site - Raw site definition
+ * @param {Array<string>} errors - Collected error messages
+ */
+function validateDnsFields(site, errors) {
+  if (typeof site.hostname !== 'string' || !site.hostname.trim()) {
+    errors.push('"hostname" is required for dns checks');
+  }
+
+  if (site.recordType !== undefined && !DNS_RECORD_TYPES.includes(site.recordType)) {
+    errors.push(`"recordType" must be one of ${DNS_RECORD_TYPES.join(', ')}`);
+  }
+
+  if (site.expected !== undefined && (!Array.isArray(site.expected) || site.expected.some(value => typeof value !== 'string' || !value))) {
+    errors.push('"expected" must be an array of non-empty strings');
+  }
+
+  if (site.resolver !== undefined && !net.isIP(site.resolver)) {
+    errors.push('"resolver" must be an IP address');
+  }
+}
+
+/**
+ * Validate a transaction step's "extract" rules
+ * @param {*} extract - Raw value
+ * @param {Array<string>} errors - Collected error messages (already prefixed by the caller)
+ * @returns {Array<string>} Names of the values extracted
+ */
+function validateExtractions(extract, errors) {
+  if (!isPlainObject(extract)) {
+    errors.push('"extract" must be an object of { "name": rule }');
+    return [];
+  }
+
+  Object.entries(extract).forEach(([name, rule]) => {
+    const label = `"extract.${name}"`;
+    if (!/^[A-Za-z_][\w-]*$/.test(name)) {
+      errors.push(`${label} name must start with a letter and contain only letters, digits, _ and -`);
+    }
+
+    const sources = isPlainObject(rule) ? EXTRACTION_SOURCES.filter(source => source in rule) : [];
+    if (sources.length !== 1) {
+      errors.push(`${label} needs exactly one of ${EXTRACTION_SOURCES.map(source => `"${source}"`).join(', ')}`);
+      return;
+    }
+
+    if (sources[0] === 'regex') {
+      try {
+        if (typeof rule.regex !== 'string') {
+          throw new Error('regex is not a string');
+        }
+        new RegExp(rule.regex, rule.flags);
+      } catch (error) {
+        errors.push(`${label} needs a valid "regex" (and optional "flags")`);
+      }
+      if (rule.group !== undefined && (!Number.isInteger(rule.group) || rule.group < 0)) {
+        errors.push(`${label} "group" must be a non-negative integer`);
+      }
+    } else if (sources[0] === 'jsonPath') {
+      if (parseJsonPath(rule.jsonPath) === null) {
+        errors.push(`${label} needs a "jsonPath" like "$.token" or "$.data.items[0].id"`);
+      }
+    } else if (typeof rule[sources[0]] !== 'string' || !rule[sources[0]].trim()) {
+      errors.push(`${label} "${sources[0]}" must be a non-empty name`);
+    }
+  });
+
+  return Object.keys(extract);
+}
+
+/**
+ * Validate fields of a transaction site
+ * @param {Object} site - Raw site definition
+ * @param {Array<string>} errors - Collected error messages
+ */
+function validateTransactionFields(site, errors) {
+  if (!isHttpUrl(site.url)) {
+    errors.push('"url" must be an absolute http(s) URL (the base for relative step URLs)');
+  }
+
+  if (!Array.isArray(site.steps) || site.steps.length === 0 || site.steps.length > MAX_TRANSACTION_STEPS) {
+    errors.push(`"steps" must be a list of 1-${MAX_TRANSACTION_STEPS} steps`);
+    return;
+  }
+
+  const extracted = new Set();
+  site.steps.forEach((step, index) => {
+    const label = `steps[${index}]:`;
+    if (!isPlainObject(step)) {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+
+    const stepErrors = [];
+    if (step.name !== undefined && (typeof step.name !== 'string' || !step.name.trim())) {
+      stepErrors.push('"name" must be a non-empty string');
+    }
+
+    // Placeholders can only use values that earlier steps extract
+    const referenced = [...JSON.stringify([step.url, step.headers, step.body]).matchAll(PLACEHOLDER_PATTERN)];
+    new Set(referenced.map(match => match[1])).forEach(name => {
+      if (!extracted.has(name)) {
+        stepErrors.push(`uses {{${name}}}, which no earlier step extracts`);
+      }
+    });
+
+    // Otherwise a step is validated like an HTTP site, with its URL resolved against the site's
+    let url = null;
+    if (typeof step.url !== 'string' || !step.url.trim()) {
+      stepErrors.push('"url" is required');
+    } else {
+      try {
+        url = new URL(step.url.replace(PLACEHOLDER_PATTERN, 'x'), site.url).href;
+      } catch (error) {
+        stepErrors.push('"url" must be an http(s) URL or a path relative to the site\'s url');
+      }
+    }
+    if (url !== null) {
+      validateHttpFields({ ...step, url, tls: undefined }, stepErrors);
+    }
+
+    if (step.extract !== undefined) {
+      validateExtractions(step.extract, stepErrors).forEach(name => extracted.add(name));
+    }
+
+    stepErrors.forEach(message => errors.push(`${label} ${message}`));
+  });
+}
+
+/**
+ * Validate confirmation, flap detection, alert routing and maintenance settings
+ * @param {Object} site - Raw site definition
+ * @param {Array<string>} errors - Collected error messages
+ */
+function validateAlertingFields(site, errors) {
+  const isCount = (value, min) => value === undefined || (Number.isInteger(value) && value >= min && value <= 50);
+
+  if (site.confirmation !== undefined) {
+    if (!isPlainObject(site.confirmation)) {
+      errors.push('"confirmation" must be an object');
+    } else {
+      const { failures, window, recoveries, recheckDelay } = site.confirmation;
+      if (!isCount(failures, 1) || !isCount(window, 1) || !isCount(recoveries, 1)) {
+        errors.push('"confirmation.failures", "window" and "recoveries" must be integers between 1 and 50');
+      } else if (window !== undefined && window < (failures ?? CONFIRMATION_DEFAULTS.failures)) {
+        errors.push('"confirmation.window" must be at least "failures"');
+      }
+      const delay = recheckDelay === undefined ? 1000 : parseDuration(recheckDelay);
+      if (delay === null || delay < 1000 || delay > MAX_INTERVAL_MS) {
+        errors.push('"confirmation.recheckDelay" must be a duration of at least 1s');
+      }
+    }
+  }
+
+  if (site.notify !== undefined &&
+      (!Array.isArray(site.notify) || site.notify.some(name => typeof name !== 'string' || !name.trim()))) {
+    errors.push('"notify" must be a list of channel names from notifiers.json');
+  }
+
+  if (site.flapping !== undefined && site.flapping !== false) {
+    if (!isPlainObject(site.flapping)) {
+      errors.push('"flapping" must be an object or false');
+    } else {
+      const window = site.flapping.window ?? FLAPPING_DEFAULTS.window;
+      const threshold = site.flapping.threshold ?? FLAPPING_DEFAULTS.threshold;
+      if (!isCount(window, 3) || !isCount(threshold, 2) || threshold >= window) {
+        errors.push('"flapping.window" (3-50) and "flapping.threshold" (2 or more, below window) must be integers');
+      }
+    }
+  }
+
+  if (site.maintenance !== undefined) {
+    errors.push(...validateMaintenanceWindows(site.maintenance));
+  }
+
+  if (site.latency !== undefined) {
+    if (!isPlainObject(site.latency) || (site.latency.warn === undefined && site.latency.critical === undefined)) {
+      errors.push('"latency" must be an object with "warn" and/or "critical"');
+    } else {
+      const warn = site.latency.warn === undefined ? 0 : parseLatency(site.latency.warn);
+      const critical = site.latency.critical === undefined ? Infinity : parseLatency(site.latency.critical);
+      if (warn === null || critical === null) {
+        errors.push('"latency.warn" and "latency.critical" must be milliseconds or durations such as "2s"');
+      } else if (warn >= critical) {
+        errors.push('"latency.warn" must be below "latency.critical"');
+      }
+    }
+  }
+
+  if (site.reminders !== undefined && site.reminders !== false) {
+    const every = isPlainObject(site.reminders) ? parseDuration(site.reminders.every ?? REMINDER_DEFAULTS.every) : null;
+    if (every === null || every < 60 * 1000 || every > MAX_INTERVAL_MS) {
+      errors.push('"reminders" must be false or { "every": duration between 1m and 24h }');
+    }
+  }
+
+  if (site.escalation !== undefined) {
+    const { after, notify } = isPlainObject(site.escalation) ? site.escalation : {};
+    const delay = after === undefined ? null : parseDuration(after);
+    if (delay === null || delay < 60 * 1000) {
+      errors.push('"escalation.after" must be a duration of at least 1m');
+    }
+    if (!Array.isArray(notify) || notify.length === 0 || notify.some(name => typeof name !== 'string' || !name.trim())) {
+      errors.push('"escalation.notify" must be a list of channel names from notifiers.json');
+    }
+  }
+}
+
+/**
+ * Parse a latency threshold: integer milliseconds (like "timeout") or a duration string
+ * @returns {number|null} Milliseconds above zero, or null when invalid
+ */
+function parseLatency(value) {
+  const ms = typeof value === 'number' ? (Number.isInteger(value) ? value : null) : parseDuration(value);
+  return ms !== null && ms > 0 ? ms : null;
+}
+
+/**
+ * Validate a single site definition
+ * @param {Object} site - Raw entry from sites.json
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+function validateSite(site) {
+  const errors = [];
+
+  if (!isPlainObject(site)) {
+    return ['must be an object'];
+  }
+
+  if (typeof site.name !== 'string' || !site.name.trim()) {
+    errors.push('"name" is required');
+  }
+
+  if (site.timeout !== undefined && (!Number.isInteger(site.timeout) || site.timeout < 100 || site.timeout > 120000)) {
+    errors.push('"timeout" must be an integer between 100 and 120000 (ms)');
+  }
+
+  if (site.interval !== undefined) {
+    const interval = parseDuration(site.interval);
+    if (interval === null || interval < MIN_INTERVAL_MS || interval > MAX_INTERVAL_MS) {
+      errors.push('"interval" must be a duration between 10s and 24h (e.g. "30s", "15m")');
+    }
+  }
+
+  if (site.public !== undefined && typeof site.public !== 'boolean') {
+    errors.push('"public" must be true or false');
+  }
+
+  if (site.group !== undefined && (typeof site.group !== 'string' || !site.group.trim() || site.group.length > 50)) {
+    errors.push('"group" must be a name of up to 50 characters');
+  }
+
+  if (site.tags !== undefined &&
+      (!Array.isArray(site.tags) || site.tags.some(tag => typeof tag !== 'string' || !TAG_PATTERN.test(tag.trim())))) {
+    errors.push('"tags" must be a list of tags of up to 30 letters, digits, "-", "_" or "."');
+  }
+
+  validateAlertingFields(site, errors);
+
+  const type = site.type === undefined ? 'http' : site.type;
+  if (type === 'http') {
+    validateHttpFields(site, errors);
+  } else if (type === 'tcp') {
+    validateTcpFields(site, errors);
+  } else if (type === 'dns') {
+    validateDnsFields(site, errors);
+  } else if (type === 'transaction') {
+    validateTransactionFields(site, errors);
+  } else {
+    errors.push(`"type" must be one of ${CHECK_TYPES.join(', ')}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Apply defaults to a valid site definition
+ * @param {Object} site - Validated site definition
+ * @returns {Object} Site with every check option set
+ */
+function normalizeSite(site) {
+  const normalized = applyTypeDefaults(site);
+  const interval = parseDuration(normalized.interval);
+  // A bad CHECK_INTERVAL falls back to 5 minutes rather than breaking every site
+  normalized.interval = interval !== null && interval >= MIN_INTERVAL_MS && interval <= MAX_INTERVAL_MS
+    ? interval
+    : 5 * 60 * 1000;
+
+  normalized.group = site.group ? site.group.trim() : null;
+  normalized.tags = [...new Set((site.tags || []).map(tag => tag.trim().toLowerCase()))];
+
+  const confirmation = { ...CONFIRMATION_DEFAULTS, ...site.confirmation };
+  normalized.confirmation = {
+    failures: confirmation.failures,
+    window: confirmation.window ?? confirmation.failures,
+    recoveries: confirmation.recoveries,
+    recheckDelay: parseDuration(confirmation.recheckDelay)
+  };
+
+  normalized.flapping = site.flapping === false
+    ? { enabled: false, window: 0, threshold: 0 }
+    : { enabled: true, ...FLAPPING_DEFAULTS, ...site.flapping };
+
+  normalized.maintenance = (site.maintenance || []).map(normalizeMaintenanceWindow);
+
+  const latency = site.latency || {};
+  normalized.latency = {
+    warn: latency.warn === undefined ? null : parseLatency(latency.warn),
+    critical: latency.critical === undefined ? null : parseLatency(latency.critical)
+  };
+
+  normalized.reminders = site.reminders === false
+    ? { enabled: false, every: 0 }
+    : { enabled: true, every: parseDuration({ ...REMINDER_DEFAULTS, ...site.reminders }.every) };
+
+  normalized.escalation = site.escalation
+    ? { after: parseDuration(site.escalation.after), notify: site.escalation.notify }
+    : null;
+
+  return normalized;
+}
+
+/**
+ * Fill in the defaults for the site's check type
+ */
+function applyTypeDefaults(site) {
+  const type = site.type || SITE_DEFAULTS.type;
+
+  if (type === 'tcp') {
+    const host = site.host.trim();
+    return {
+      ...SITE_DEFAULTS,
+      ...site,
+      name: site.name.trim(),
+      host,
+      url: `tcp://${net.isIPv6(host) ? `[${host}]` : host}:${site.port}`
+    };
+  }
+
+  if (type === 'dns') {
+    const normalized = { ...SITE_DEFAULTS, ...DNS_DEFAULTS, ...site, name: site.name.trim() };
+    normalized.hostname = site.hostname.trim();
+    normalized.url = `dns://${normalized.hostname}/${normalized.recordType}`;
+    return normalized;
+  }
+
+  if (type === 'transaction') {
+    return {
+      ...SITE_DEFAULTS,
+      ...site,
+      name: site.name.trim(),
+      steps: site.steps.map((step, index) => ({
+        ...applyHttpDefaults(step),
+        name: step.name ? step.name.trim() : `Step ${index + 1}`,
+        extract: step.extract || {}
+      }))
+    };
+  }
+
+  const normalized = { ...SITE_DEFAULTS, ...applyHttpDefaults(site) };
+  normalized.name = site.name.trim();
+  normalized.tls = { ...TLS_DEFAULTS, ...site.tls };
+  return normalized;
+}
+
+/**
+ * Fill in the HTTP request defaults (for HTTP sites and transaction steps)
+ */
+function applyHttpDefaults(fields) {
+  const normalized = { ...HTTP_DEFAULTS, ...fields };
+  normalized.method = normalized.method.toUpperCase();
+  normalized.expectedStatus = Array.isArray(normalized.expectedStatus)
+    ? normalized.expectedStatus
+    : [normalized.expectedStatus];
+  normalized.redirects = normalizeRedirectPolicy(fields.redirects);
+  return normalized;
+}
+
+/**
+ * Validate every site in sites.json
+ * Invalid and duplicate entries are reported and left out
+ * @param {Array} sites - Raw "sites" array
+ * @returns {Object} { sites: normalized valid sites, errors: ["Site #n (name): message"] }
+ */
+function validateSites(sites) {
+  if (!Array.isArray(sites)) {
+    return { sites: [], errors: ['"sites" must be an array'] };
+  }
+
+  const valid = [];
+  const errors = [];
+  const seenNames = new Set();
+
+  sites.forEach((site, index) => {
+    const label = `Site #${index + 1}${site && typeof site.name === 'string' ? ` (${site.name})` : ''}`;
+    const siteErrors = validateSite(site);
+
+    if (siteErrors.length === 0 && seenNames.has(site.name.trim())) {
+      siteErrors.push('duplicate "name"');
+    }
+
+    if (siteErrors.length > 0) {
+      siteErrors.forEach(message => errors.push(`${label}: ${message}`));
+      return;
+    }
+
+    seenNames.add(site.name.trim());
+    valid.push(normalizeSite(site));
+  });
+
+  return { sites: valid, errors };
+}
+
+module.exports = {
+  CHECK_TYPES,
+  HTTP_METHODS,
+  PLACEHOLDER_PATTERN,
+  isExpectedStatus,
+  validateSite,
+  normalizeSite,
+  validateSites
+};
@@ -0,0 +1,184 @@
+/**
+ * Site Configuration File
+ * Reads and writes backend/sites.json. Writes are atomic and keep the previous version
+ * as sites.json.bak, so a bad edit through the API can be rolled back by hand.
+ * Besides "sites", the file may hold a top-level "maintenance" list that applies to every site.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validateSite, validateSites } = require('./siteSchema');
+const { validateMaintenanceWindow, normalizeMaintenanceWindow } = require('./maintenance');
+const { writeFileAtomic } = require('./storage');
+
+const SITES_FILE = process.env.SITES_FILE || path.join(__dirname, 'sites.json');
+const BACKUP_FILE = `${SITES_FILE}.bak`;
+
+// Last sites.json that parsed, used while the file on disk is broken
+let lastGoodSites = [];
+
+// Maintenance windows for every site, from the last sites.json that parsed
+let globalMaintenance = [];
+
+// Last reported sites.json problems (so they are logged once, not on every load)
+let lastSiteErrors = '';
+
+/**
+ * Log sites.json problems once per change
+ */
+function reportSiteErrors(errors) {
+  const errorText = errors.join('\n');
+  if (errorText === lastSiteErrors) return;
+
+  lastSiteErrors = errorText;
+  if (errors.length > 0) {
+    console.error('⚠️ sites.json has invalid entries (skipped until fixed):');
+    errors.forEach(message => console.error(`   • ${message}`));
+  }
+}
+
+/**
+ * Read and parse sites.json
+ * @returns {Object} File contents ({ sites, maintenance })
+ * @throws {Error} When the file can't be read or is not valid JSON
+ */
+function readSitesFile() {
+  return JSON.parse(fs.readFileSync(SITES_FILE, 'utf-8'));
+}
+
+/**
+ * Site entries of a parsed sites.json
+ */
+function siteEntriesOf(parsedData) {
+  return Array.isArray(parsedData.sites) ? parsedData.sites : [];
+}
+
+/**
+ * Whether a raw entry has a name; names are compared trimmed, as validateSites() does
+ */
+function entryHasName(entry, name) {
+  return Boolean(entry) && typeof entry.name === 'string' && entry.name.trim() === name.trim();
+}
+
+/**
+ * Read the raw site entries from sites.json
+ * @returns {Array} Entries exactly as stored (no defaults applied)
+ * @throws {Error} When the file can't be read or is not valid JSON
+ */
+function readSiteEntries() {
+  return siteEntriesOf(readSitesFile());
+}
+
+/**
+ * Validate the top-level maintenance windows; invalid ones are reported and skipped
+ * @param {*} windows - Raw "maintenance" value
+ * @param {Array<string>} errors - Collected error messages
+ * @returns {Array} Normalized windows
+ */
+function parseGlobalMaintenance(windows, errors) {
+  if (windows === undefined) return [];
+  if (!Array.isArray(windows)) {
+    errors.push('"maintenance" must be a list of windows');
+    return [];
+  }
+
+  return windows
+    .filter((window, index) => {
+      const windowErrors = validateMaintenanceWindow(window);
+      windowErrors.forEach(message => errors.push(`Maintenance window #${index + 1}: ${message}`));
+      return windowErrors.length === 0;
+    })
+    .map(normalizeMaintenanceWindow);
+}
+
+/**
+ * Load sites from sites.json
+ * Entries are validated against the site schema; invalid ones are logged and skipped.
+ * If the file can't be parsed, the last successfully loaded sites are kept.
+ * @returns {Array} Array of site definitions with check defaults applied
+ */
+function loadSites() {
+  let parsedData;
+  try {
+    parsedData = readSitesFile();
+  } catch (error) {
+    reportSiteErrors([`sites.json could not be loaded, keeping the previous ${lastGoodSites.length} sites: ${error.message}`]);
+    return lastGoodSites;
+  }
+
+  const { sites, errors } = validateSites(siteEntriesOf(parsedData));
+  globalMaintenance = parseGlobalMaintenance(parsedData.maintenance, errors);
+  reportSiteErrors(errors);
+  lastGoodSites = sites;
+  return sites;
+}
+
+/**
+ * Maintenance windows that apply to every site (as of the last loadSites())
+ * @returns {Array} Normalized windows, see maintenance.js
+ */
+function getGlobalMaintenance() {
+  return globalMaintenance;
+}
+
+/**
+ * Replace sites.json, backing up the current file first
+ * @param {Object} data - File contents ({ sites, maintenance })
+ */
+function writeSitesFile(data) {
+  if (fs.existsSync(SITES_FILE)) {
+    fs.copyFileSync(SITES_FILE, BACKUP_FILE);
+  }
+  writeFileAtomic(SITES_FILE, `${JSON.stringify(data, null, 2)}\n`);
+}
+
+/**
+ * Add, replace or remove one entry in sites.json
+ * The changed entry is validated on its own, so unrelated invalid entries don't block edits.
+ * @param {string|null} siteName - Entry to replace or remove (null to add)
+ * @param {Object|null} site - New entry (null to remove)
+ * @returns {Object} { status: 'ok' | 'invalid' | 'not-found' | 'conflict', errors, site }
+ * @throws {Error} When sites.json can't be read
+ */
+function saveSiteEntry(siteName, site) {
+  const parsedData = readSitesFile();
+  const entries = siteEntriesOf(parsedData);
+  const index = siteName === null ? -1 : entries.findIndex(entry => entryHasName(entry, siteName));
+
+  if (siteName !== null && index === -1) {
+    return { status: 'not-found', errors: [`Site "${siteName}" not found`] };
+  }
+
+  if (site !== null) {
+    const errors = validateSite(site);
+    if (errors.length > 0) {
+      return { status: 'invalid', errors };
+    }
+    const taken = entries.some((entry, entryIndex) => entryIndex !== index && entryHasName(entry, site.name));
+    if (taken) {
+      return { status: 'conflict', errors: [`A site named "${site.name.trim()}" already exists`] };
+    }
+    site = { ...site, name: site.name.trim() };
+  }
+
+  if (site === null) {
+    entries.splice(index, 1);
+  } else if (index === -1) {
+    entries.push(site);
+  } else {
+    entries[index] = site;
+  }
+
+  // Other top-level settings (global maintenance windows) are kept as they are
+  writeSitesFile({ ...parsedData, sites: entries });
+  return { status: 'ok', errors: [], site };
+}
+
+module.exports = {
+  SITES_FILE,
+  loadSites,
+  getGlobalMaintenance,
+  readSiteEntries,
+  entryHasName,
+  saveSiteEntry
+};
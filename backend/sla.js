@@ -0,0 +1,166 @@
+/**
+ * SLA Reporting
+ * Availability and response time statistics computed from recorded check history
+ * Checks made during maintenance windows count as neither uptime nor downtime;
+ * DEGRADED (slow but working) checks count as uptime
+ */
+
+const { getHistory } = require('./history');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Rolling windows reported by default
+const SLA_WINDOWS = {
+  '24h': DAY_MS,
+  '7d': 7 * DAY_MS,
+  '30d': 30 * DAY_MS
+};
+
+// A check result is assumed to hold until the next check, but never longer than this.
+// Longer gaps (e.g. the backend was asleep) count as "no data" rather than UP or DOWN.
+const MAX_SAMPLE_SPAN_MS = HOUR_MS;
+
+/**
+ * Nearest-rank percentile of a sorted array
+ * @param {Array<number>} sorted - Values in ascending order
+ * @param {number} percentile - 0-100
+ * @returns {number|null}
+ */
+function percentileOf(sorted, percentile) {
+  if (sorted.length === 0) return null;
+  const rank = Math.ceil((percentile / 100) * sorted.length);
+  return sorted[Math.min(sorted.length - 1, Math.max(0, rank - 1))];
+}
+
+/**
+ * Compute availability and response time stats for checks inside a window
+ * @param {Array} entries - History entries sorted oldest first
+ * @param {number} from - Window start (epoch ms)
+ * @param {number} to - Window end (epoch ms)
+ * @returns {Object} SLA figures for the window
+ */
+function computeSla(entries, from, to) {
+  let upMs = 0;
+  let downMs = 0;
+  let maintenanceMs = 0;
+  let upChecks = 0;
+  let downChecks = 0;
+  const responseTimes = [];
+
+  entries.forEach((entry, index) => {
+    const start = Date.parse(entry.checkedAt);
+    const next = entries[index + 1];
+    const nextStart = next ? Date.parse(next.checkedAt) : to;
+    const span = Math.max(0, Math.min(nextStart, start + MAX_SAMPLE_SPAN_MS, to) - start);
+
+    if (entry.maintenance) {
+      maintenanceMs += span;
+    } else if (entry.status !== 'DOWN') {
+      upMs += span;
+      upChecks++;
+      if (typeof entry.responseTime === 'number') {
+        responseTimes.push(entry.responseTime);
+      }
+    } else {
+      downMs += span;
+      downChecks++;
+    }
+  });
+
+  const measuredMs = upMs + downMs;
+  responseTimes.sort((a, b) => a - b);
+  const average = responseTimes.length > 0
+    ? Math.round(responseTimes.reduce((sum, value) => sum + value, 0) / responseTimes.length)
+    : null;
+
+  return {
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString(),
+    checks: entries.length,
+    upChecks,
+    downChecks,
+    measuredMs,
+    downtimeMs: downMs,
+    maintenanceMs,
+    availability: measuredMs > 0 ? Number(((upMs / measuredMs) * 100).toFixed(3)) : null,
+    // Response times only consider successful checks so timeouts don't skew them
+    responseTime: {
+      avg: average,
+      p95: percentileOf(responseTimes, 95),
+      p99: percentileOf(responseTimes, 99)
+    }
+  };
+}
+
+/**
+ * Compute SLA figures for one site over the standard windows (and an optional custom one)
+ * @param {string} siteName - Name of the site
+ * @param {Object} options - { now, custom: { from, to } }
+ * @returns {Object} { '24h': {...}, '7d': {...}, '30d': {...}, custom?: {...} }
+ */
+function getSiteSla(siteName, { now = Date.now(), custom } = {}) {
+  const windows = {};
+
+  Object.entries(SLA_WINDOWS).forEach(([label, length]) => {
+    const from = now - length;
+    windows[label] = computeSla(getHistory(siteName, { from, to: now }), from, now);
+  });
+
+  if (custom) {
+    windows.custom = computeSla(getHistory(siteName, custom), custom.from, custom.to);
+  }
+
+  return windows;
+}
+
+/**
+ * Availability per UTC day for the last N days (today included, oldest first)
+ * @param {string} siteName - Name of the site
+ * @param {Object} options - { days (default 90), now }
+ * @returns {Array} [{ date: 'YYYY-MM-DD', availability, downtimeMs, checks }]
+ */
+function getDailyAvailability(siteName, { days = 90, now = Date.now() } = {}) {
+  const firstDay = Math.floor(now / DAY_MS) * DAY_MS - (days - 1) * DAY_MS;
+  const entries = getHistory(siteName, { from: firstDay, to: now });
+  const daily = [];
+  let index = 0;
+
+  for (let day = 0; day < days; day++) {
+    const from = firstDay + day * DAY_MS;
+    const to = Math.min(from + DAY_MS, now);
+    const start = index;
+    while (index < entries.length && Date.parse(entries[index].checkedAt) < from + DAY_MS) {
+      index++;
+    }
+
+    const stats = computeSla(entries.slice(start, index), from, to);
+    daily.push({
+      date: new Date(from).toISOString().slice(0, 10),
+      availability: stats.availability,
+      downtimeMs: stats.downtimeMs,
+      checks: stats.checks
+    });
+  }
+
+  return daily;
+}
+
+/**
+ * Combined availability across several sites for one window
+ * @param {Array<Object>} windowStats - computeSla() results for the same window
+ * @returns {number|null} Availability percentage
+ */
+function combinedAvailability(windowStats) {
+  const measuredMs = windowStats.reduce((sum, stats) => sum + stats.measuredMs, 0);
+  const downtimeMs = windowStats.reduce((sum, stats) => sum + stats.downtimeMs, 0);
+  return measuredMs > 0 ? Number((((measuredMs - downtimeMs) / measuredMs) * 100).toFixed(3)) : null;
+}
+
+module.exports = {
+  SLA_WINDOWS,
+  computeSla,
+  getSiteSla,
+  getDailyAvailability,
+  combinedAvailability
+};
@@ -0,0 +1,201 @@
+/**
+ * Public Status Page and Badges
+ * Server-rendered HTML for /status and SVG badges for /badge/:siteName.svg.
+ * Only names, states, uptime and incident times are shown: no URLs or error details.
+ */
+
+const { formatDuration } = require('./utils');
+
+const BADGE_COLORS = {
+  UP: '#10b981',
+  DOWN: '#ef4444',
+  DEGRADED: '#f59e0b',
+  FLAPPING: '#f59e0b',
+  MAINTENANCE: '#3b82f6',
+  UNKNOWN: '#9ca3af'
+};
+
+/**
+ * Escape text for safe insertion into HTML or SVG
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Format an availability percentage, e.g. 99.95%
+ */
+function formatPercent(value) {
+  return value === null || value === undefined ? 'N/A' : `${value.toFixed(2)}%`;
+}
+
+/**
+ * Format an ISO timestamp as "2024-05-01 14:30 UTC"
+ */
+function formatTimestamp(iso) {
+  return `${new Date(iso).toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+}
+
+/**
+ * CSS class for one day's uptime bar
+ */
+function barClass(availability) {
+  if (availability === null) return 'bar-empty';
+  if (availability >= 99.9) return 'bar-up';
+  if (availability >= 99) return 'bar-minor';
+  return 'bar-down';
+}
+
+/**
+ * Render the public status page
+ * @param {Object} data - { sites: [{ name, status, uptime, daily }], incidents, generatedAt }
+ *   status is UP, DEGRADED, DOWN, FLAPPING, MAINTENANCE or null (not checked yet); daily comes from getDailyAvailability()
+ * @returns {string} HTML document
+ */
+function renderStatusPage({ sites, incidents, generatedAt }) {
+  const downCount = sites.filter(site => site.status === 'DOWN').length;
+  const unstable = sites.some(site => site.status === 'FLAPPING');
+  const slow = sites.some(site => site.status === 'DEGRADED');
+  const maintenance = sites.some(site => site.status === 'MAINTENANCE');
+  const overall = downCount > 0
+    ? { className: 'overall-down', text: downCount === sites.length ? 'Major outage' : `${downCount} of ${sites.length} services down` }
+    : unstable || slow
+      ? { className: 'overall-minor', text: unstable ? 'Some services are unstable' : 'Degraded performance' }
+      : maintenance
+        ? { className: 'overall-maintenance', text: 'Scheduled maintenance in progress' }
+        : { className: 'overall-up', text: 'All systems operational' };
+
+  const siteRows = sites.map(site => {
+    const status = site.status || 'UNKNOWN';
+    const bars = site.daily.map(day => {
+      const label = day.availability === null
+        ? `${day.date}: no data`
+        : `${day.date}: ${formatPercent(day.availability)}${day.downtimeMs > 0 ? `, down ${formatDuration(day.downtimeMs)}` : ''}`;
+      return `<span class="bar ${barClass(day.availability)}" title="${escapeHtml(label)}"></span>`;
+    }).join('');
+
+    return `
+      <section class="site">
+        <div class="site-header">
+          <h2>${escapeHtml(site.name)}</h2>
+          <span class="pill pill-${status.toLowerCase()}">${status}</span>
+        </div>
+        <div class="bars">${bars}</div>
+        <div class="site-footer">
+          <span>${site.daily.length} days ago</span>
+          <span>${formatPercent(site.uptime)} uptime</span>
+          <span>Today</span>
+        </div>
+      </section>`;
+  }).join('');
+
+  const incidentRows = incidents.length === 0
+    ? '<p class="muted">No incidents reported recently.</p>'
+    : `<ul class="incidents">${incidents.map(incident => `
+        <li>
+          <strong>${escapeHtml(incident.siteName)}</strong>
+          ${incident.status === 'open'
+            ? `<span class="pill pill-down">Ongoing</span> since ${formatTimestamp(incident.startedAt)}`
+            : `<span class="pill pill-resolved">Resolved</span> ${formatTimestamp(incident.startedAt)}, down for ${formatDuration(incident.durationMs)}`}
+          ${incident.firstErrorType ? `<span class="muted">(${escapeHtml(incident.firstErrorType)})</span>` : ''}
+        </li>`).join('')}
+      </ul>`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta http-equiv="refresh" content="60">
+  <title>Service Status</title>
+  <style>
+    body { margin: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #0f172a; color: #f1f5f9; }
+    main { max-width: 860px; margin: 0 auto; padding: 32px 16px; }
+    h1 { font-size: 1.6rem; margin: 0 0 20px; }
+    h2 { font-size: 1.05rem; margin: 0; }
+    .overall { padding: 16px 20px; border-radius: 8px; font-weight: 600; margin-bottom: 24px; }
+    .overall-up { background: rgba(16, 185, 129, 0.2); color: #10b981; }
+    .overall-minor { background: rgba(245, 158, 11, 0.2); color: #f59e0b; }
+    .overall-down { background: rgba(239, 68, 68, 0.2); color: #ef4444; }
+    .overall-maintenance { background: rgba(59, 130, 246, 0.2); color: #3b82f6; }
+    .site { background: #1e293b; border: 1px solid #334155; border-radius: 8px; padding: 16px 20px; margin-bottom: 12px; }
+    .site-header { display: flex; justify-content: space-between; align-items: center; margin-bottom: 12px; }
+    .pill { padding: 2px 10px; border-radius: 12px; font-size: 0.8rem; font-weight: 600; }
+    .pill-up { background: #10b981; color: #fff; }
+    .pill-down { background: rgba(239, 68, 68, 0.2); color: #ef4444; }
+    .pill-degraded, .pill-flapping { background: rgba(245, 158, 11, 0.2); color: #f59e0b; }
+    .pill-maintenance { background: rgba(59, 130, 246, 0.2); color: #3b82f6; }
+    .pill-unknown, .pill-resolved { background: #334155; color: #cbd5e1; }
+    .bars { display: flex; gap: 2px; height: 32px; }
+    .bar { flex: 1; border-radius: 2px; }
+    .bar-up { background: #10b981; }
+    .bar-minor { background: #f59e0b; }
+    .bar-down { background: #ef4444; }
+    .bar-empty { background: #334155; }
+    .site-footer { display: flex; justify-content: space-between; font-size: 0.8rem; color: #94a3b8; margin-top: 6px; }
+    .incidents { list-style: none; padding: 0; }
+    .incidents li { padding: 10px 0; border-bottom: 1px solid #334155; }
+    .muted { color: #94a3b8; }
+    footer { margin-top: 32px; font-size: 0.8rem; color: #94a3b8; }
+  </style>
+</head>
+<body>
+  <main>
+    <h1>Service Status</h1>
+    <div class="overall ${overall.className}">${overall.text}</div>
+    ${siteRows || '<p class="muted">No services are listed.</p>'}
+    <h1>Recent Incidents</h1>
+    ${incidentRows}
+    <footer>Updated ${formatTimestamp(generatedAt)} · Powered by CheckUpSite</footer>
+  </main>
+</body>
+</html>
+`;
+}
+
+/**
+ * Approximate rendered width of badge text (11px Verdana)
+ */
+function textWidth(text) {
+  return Math.round(String(text).length * 6.5) + 10;
+}
+
+/**
+ * Render a flat SVG status badge
+ * @param {Object} badge - { label, message, status: UP | DOWN | FLAPPING | MAINTENANCE | UNKNOWN }
+ * @returns {string} SVG document
+ */
+function renderBadge({ label, message, status }) {
+  const color = BADGE_COLORS[status] || BADGE_COLORS.UNKNOWN;
+  const labelWidth = textWidth(label);
+  const messageWidth = textWidth(message);
+  const width = labelWidth + messageWidth;
+  const safeLabel = escapeHtml(label);
+  const safeMessage = escapeHtml(message);
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="20" role="img" aria-label="${safeLabel}: ${safeMessage}">
+  <title>${safeLabel}: ${safeMessage}</title>
+  <linearGradient id="s" x2="0" y2="100%"><stop offset="0" stop-color="#bbb" stop-opacity=".1"/><stop offset="1" stop-opacity=".1"/></linearGradient>
+  <clipPath id="r"><rect width="${width}" height="20" rx="3" fill="#fff"/></clipPath>
+  <g clip-path="url(#r)">
+    <rect width="${labelWidth}" height="20" fill="#555"/>
+    <rect x="${labelWidth}" width="${messageWidth}" height="20" fill="${color}"/>
+    <rect width="${width}" height="20" fill="url(#s)"/>
+  </g>
+  <g fill="#fff" text-anchor="middle" font-family="Verdana,Geneva,DejaVu Sans,sans-serif" font-size="11">
+    <text x="${labelWidth / 2}" y="14">${safeLabel}</text>
+    <text x="${labelWidth + messageWidth / 2}" y="14">${safeMessage}</text>
+  </g>
+</svg>
+`;
+}
+
+module.exports = {
+  renderStatusPage,
+  renderBadge
+};
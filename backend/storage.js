@@ -0,0 +1,38 @@
+/**
+ * Local Storage Helpers
+ * Shared location and write helpers for files the backend persists under backend/data
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Directory for persisted monitoring data (override with DATA_DIR)
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+/**
+ * Resolve a file name inside the data directory, creating the directory if needed
+ * @param {string} fileName - File name relative to DATA_DIR
+ * @returns {string} Absolute path to the file
+ */
+function dataPath(fileName) {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  return path.join(DATA_DIR, fileName);
+}
+
+/**
+ * Replace a file atomically: write to a temp file, then rename over the target
+ * A crash mid-write leaves the previous version intact
+ * @param {string} filePath - Destination file
+ * @param {string} contents - Full file contents
+ */
+function writeFileAtomic(filePath, contents) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, contents, 'utf-8');
+  fs.renameSync(tempPath, filePath);
+}
+
+module.exports = {
+  DATA_DIR,
+  dataPath,
+  writeFileAtomic
+};
@@ -0,0 +1,379 @@
+/**
+ * Telegram Bot Commands
+ * Lets authorised Telegram chats query and control monitoring through the bot that sends alerts:
+ *
+ *   /status                  every site's status
+ *   /status <site>           details of one site
+ *   /check <site>            check a site now (shares /api/check's caching)
+ *   /mute <site> <duration>  pause a site's alerts, e.g. /mute Orders API 2h
+ *   /unmute [site]           resume alerts for a site, or for every muted site
+ *   /incidents               open and recently resolved incidents
+ *   /help                    list the commands
+ *
+ * Enabled by "commands" on a telegram channel in notifiers.json (see notifiers.js). Updates are
+ * fetched by long polling, or pushed by Telegram to POST /telegram/webhook when mode is
+ * "webhook". Commands from chats not in allowedChatIds are ignored. Requests go to the
+ * channel's apiBase, so a local stand-in for the Telegram API can be used for testing.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { parseDuration, formatDuration } = require('./utils');
+
+// Seconds Telegram holds a getUpdates request open while waiting for messages
+const POLL_TIMEOUT_S = 25;
+
+// How often to look for a polling channel again while none is configured
+const IDLE_RETRY_MS = 60 * 1000;
+
+// Longest wait between polls after errors
+const MAX_ERROR_BACKOFF_MS = 60 * 1000;
+
+// Commands older than this (e.g. queued while the backend was down) are not run
+const STALE_MESSAGE_S = 5 * 60;
+
+const MIN_MUTE_MS = 60 * 1000;
+const MAX_MUTE_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Telegram rejects longer messages
+const MAX_MESSAGE_LENGTH = 4096;
+
+const STATUS_ICONS = {
+  UP: '🟢',
+  DEGRADED: '🟠',
+  DOWN: '🔴',
+  MAINTENANCE: '🔧'
+};
+
+const HELP_TEXT = [
+  'CheckUpSite commands:',
+  '/status - status of every site',
+  '/status <site> - details of one site',
+  '/check <site> - check a site now',
+  '/mute <site> <duration> - pause alerts, e.g. /mute Orders API 2h',
+  '/unmute [site] - resume alerts (every muted site without a name)',
+  '/incidents - open and recently resolved incidents'
+].join('\n');
+
+/**
+ * Format an ISO timestamp for chat messages
+ */
+function formatTimestamp(iso) {
+  return iso ? `${iso.slice(0, 16).replace('T', ' ')} UTC` : 'never';
+}
+
+/**
+ * Compare two secrets without leaking their contents through timing
+ */
+function secretsMatch(given, expected) {
+  const hash = value => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(hash(given), hash(expected));
+}
+
+/**
+ * Create the command bot
+ * @param {Object} options
+ * @param {Function} options.getChannel - () => telegram channel with commands enabled, or null
+ * @param {Function} options.getSites - () => Array of site statuses (as in /api/status)
+ * @param {Function} options.checkSite - async (siteName) => check result with `cached`, or null
+ * @param {Function} options.muteSite - (siteName, untilIso|null) => whether the site exists
+ * @param {Function} options.listIncidents - ({ status, limit }) => incidents, newest first
+ * @returns {Object} { start, handleWebhook }
+ */
+function createTelegramBot({ getChannel, getSites, checkSite, muteSite, listIncidents }) {
+  let polling = false;
+  let offset = 0;
+
+  /**
+   * Find a site by name, ignoring case
+   */
+  function findSite(name) {
+    const wanted = name.trim().toLowerCase();
+    return getSites().find(site => site.name.toLowerCase() === wanted) || null;
+  }
+
+  function describeStatus(site) {
+    const status = site.lastStatus || 'UNKNOWN';
+    return `${STATUS_ICONS[status] || '⚪'} ${site.name}: ${status}`;
+  }
+
+  function statusSummary() {
+    const sites = getSites();
+    if (sites.length === 0) {
+      return 'No sites are monitored.';
+    }
+
+    const counts = {};
+    sites.forEach(site => {
+      const status = site.lastStatus || 'UNKNOWN';
+      counts[status] = (counts[status] || 0) + 1;
+    });
+    const lines = sites.map(site => {
+      let line = describeStatus(site);
+      if (typeof site.lastResponseTime === 'number' && site.lastStatus !== 'DOWN') {
+        line += ` (${site.lastResponseTime}ms)`;
+      }
+      if (site.lastStatus === 'DOWN' && site.lastError) {
+        line += ` - ${site.lastError}`;
+      }
+      if (site.flapping) line += ' 〰️';
+      if (site.mutedUntil) line += ' 🔕';
+      return line;
+    });
+
+    const totals = Object.entries(counts).map(([status, count]) => `${count} ${status}`).join(', ');
+    return [`📊 ${sites.length} sites: ${totals}`, ...lines].join('\n');
+  }
+
+  function siteDetails(site) {
+    const lines = [describeStatus(site), `URL: ${site.url}`];
+    if (site.lastCheckedAt) {
+      const response = typeof site.lastResponseTime === 'number' ? `${site.lastResponseTime}ms` : 'no response';
+      lines.push(`Last check: ${formatTimestamp(site.lastCheckedAt)} (${response}${site.lastStatusCode ? `, HTTP ${site.lastStatusCode}` : ''})`);
+    } else {
+      lines.push('Not checked yet');
+    }
+    if (site.lastError) lines.push(`Error: ${site.lastError}`);
+    if (site.pendingStatus) lines.push(`Unconfirmed: ${site.pendingStatus}`);
+    if (site.lastChangedAt) lines.push(`Last change: ${formatTimestamp(site.lastChangedAt)}`);
+    if (site.flapping) lines.push(`Flapping since ${formatTimestamp(site.flappingSince)}`);
+    if (site.maintenance) lines.push(`Maintenance: ${site.maintenance.name} until ${formatTimestamp(site.maintenance.endsAt)}`);
+    if (site.mutedUntil) lines.push(`Alerts muted until ${formatTimestamp(site.mutedUntil)}`);
+    lines.push(`Next check: ${formatTimestamp(site.nextCheckAt)}`);
+    return lines.join('\n');
+  }
+
+  async function checkNow(site) {
+    const result = await checkSite(site.name);
+    if (!result) {
+      return `Unknown site "${site.name}".`;
+    }
+
+    const lines = [
+      `🔎 ${site.name}: ${result.status} in ${result.responseTime}ms${result.statusCode ? ` (HTTP ${result.statusCode})` : ''}`
+    ];
+    if (result.error) lines.push(`Error: ${result.error}`);
+    if (result.cached) lines.push(`(checked at ${formatTimestamp(result.checkedAt)}; repeated checks are rate limited)`);
+    return lines.join('\n');
+  }
+
+  function mute(args) {
+    // The duration is the last word, so site names may contain spaces
+    const words = args.split(/\s+/).filter(Boolean);
+    const durationMs = words.length >= 2 ? parseDuration(words[words.length - 1]) : null;
+    if (durationMs === null) {
+      return 'Usage: /mute <site> <duration>, e.g. /mute Orders API 2h';
+    }
+    if (durationMs < MIN_MUTE_MS || durationMs > MAX_MUTE_MS) {
+      return 'Mute for between 1m and 30d.';
+    }
+
+    const site = findSite(words.slice(0, -1).join(' '));
+    if (!site) {
+      return `Unknown site "${words.slice(0, -1).join(' ')}". Send /status for the list.`;
+    }
+    const until = new Date(Date.now() + durationMs).toISOString();
+    muteSite(site.name, until);
+    return `🔕 Alerts for ${site.name} muted for ${formatDuration(durationMs)} (until ${formatTimestamp(until)}).`;
+  }
+
+  function unmute(args) {
+    if (args) {
+      const site = findSite(args);
+      if (!site) {
+        return `Unknown site "${args}". Send /status for the list.`;
+      }
+      if (!site.mutedUntil) {
+        return `${site.name} is not muted.`;
+      }
+      muteSite(site.name, null);
+      return `🔔 Alerts for ${site.name} resumed.`;
+    }
+
+    const muted = getSites().filter(site => site.mutedUntil);
+    if (muted.length === 0) {
+      return 'No sites are muted.';
+    }
+    muted.forEach(site => muteSite(site.name, null));
+    return `🔔 Alerts resumed for ${muted.map(site => site.name).join(', ')}.`;
+  }
+
+  function incidentSummary() {
+    const open = listIncidents({ status: 'open' });
+    const resolved = listIncidents({ status: 'resolved', limit: 5 });
+    if (open.length === 0 && resolved.length === 0) {
+      return 'No incidents recorded.';
+    }
+
+    const lines = [];
+    lines.push(open.length > 0 ? `🚨 ${open.length} open:` : '✅ No open incidents.');
+    open.forEach(incident => {
+      const acknowledged = incident.acknowledgedAt ? `, acknowledged by ${incident.acknowledgedBy || 'someone'}` : '';
+      lines.push(`#${incident.id} ${incident.siteName} - down since ${formatTimestamp(incident.startedAt)}, ${incident.failedChecks} failed checks${acknowledged}`);
+    });
+    if (resolved.length > 0) {
+      lines.push('Recently resolved:');
+      resolved.forEach(incident => {
+        lines.push(`#${incident.id} ${incident.siteName} - ${formatTimestamp(incident.startedAt)}, down for ${formatDuration(incident.durationMs)}`);
+      });
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Run a command message and build the reply
+   * @param {string} text - Message text such as "/status Orders API"
+   * @returns {Promise<string>} Reply text
+   */
+  async function runCommand(text) {
+    // "/status@MyBot args" in group chats
+    const match = text.trim().match(/^\/(\w+)(?:@\w+)?(?:\s+([\s\S]*))?$/);
+    if (!match) {
+      return 'Unknown command. Send /help for the list.';
+    }
+    const command = match[1].toLowerCase();
+    const args = (match[2] || '').trim();
+
+    switch (command) {
+      case 'start':
+      case 'help':
+        return HELP_TEXT;
+      case 'status': {
+        if (!args) return statusSummary();
+        const site = findSite(args);
+        return site ? siteDetails(site) : `Unknown site "${args}". Send /status for the list.`;
+      }
+      case 'check': {
+        if (!args) return 'Usage: /check <site>';
+        const site = findSite(args);
+        return site ? checkNow(site) : `Unknown site "${args}". Send /status for the list.`;
+      }
+      case 'mute':
+        return mute(args);
+      case 'unmute':
+        return unmute(args);
+      case 'incidents':
+        return incidentSummary();
+      default:
+        return 'Unknown command. Send /help for the list.';
+    }
+  }
+
+  /**
+   * Send a message to a chat through the channel's bot
+   */
+  async function sendMessage(channel, chatId, text) {
+    const body = text.length > MAX_MESSAGE_LENGTH ? `${text.slice(0, MAX_MESSAGE_LENGTH - 1)}…` : text;
+    await axios.post(`${channel.apiBase}/bot${channel.botToken}/sendMessage`, {
+      chat_id: chatId,
+      text: body,
+      disable_web_page_preview: true
+    }, { timeout: 10000 });
+  }
+
+  /**
+   * Handle one Telegram update: run the command in it and reply, if the chat is authorised
+   * @param {Object} channel - Telegram channel with commands enabled
+   * @param {Object} update - Telegram Update object
+   */
+  async function handleUpdate(channel, update) {
+    const message = update && update.message;
+    if (!message || typeof message.text !== 'string' || !message.text.startsWith('/')) {
+      return;
+    }
+
+    const chatId = String(message.chat.id);
+    if (!channel.commands.allowedChatIds.includes(chatId)) {
+      console.warn(`🤖 Ignored Telegram command from unauthorised chat ${chatId}`);
+      return;
+    }
+    if (Date.now() / 1000 - message.date > STALE_MESSAGE_S) {
+      console.log(`🤖 Skipped stale Telegram command "${message.text}"`);
+      return;
+    }
+
+    console.log(`🤖 Telegram command from ${chatId}: ${message.text}`);
+    let reply;
+    try {
+      reply = await runCommand(message.text);
+    } catch (error) {
+      console.error('⚠️ Telegram command failed:', error.message);
+      reply = `Command failed: ${error.message}`;
+    }
+    await sendMessage(channel, chatId, reply);
+  }
+
+  /**
+   * Long-poll getUpdates while a channel uses polling mode
+   */
+  async function poll() {
+    let failures = 0;
+
+    while (polling) {
+      const channel = getChannel();
+      if (!channel || channel.commands.mode !== 'polling') {
+        await new Promise(resolve => setTimeout(resolve, IDLE_RETRY_MS));
+        continue;
+      }
+
+      try {
+        const response = await axios.post(`${channel.apiBase}/bot${channel.botToken}/getUpdates`, {
+          offset,
+          timeout: POLL_TIMEOUT_S,
+          allowed_updates: ['message']
+        }, { timeout: (POLL_TIMEOUT_S + 10) * 1000 });
+
+        for (const update of response.data.result || []) {
+          // Confirm each update on the next poll, even if handling it fails
+          offset = update.update_id + 1;
+          await handleUpdate(channel, update).catch(error => {
+            console.error('⚠️ Could not answer Telegram command:', error.message);
+          });
+        }
+        failures = 0;
+      } catch (error) {
+        failures++;
+        const delay = Math.min(1000 * 2 ** failures, MAX_ERROR_BACKOFF_MS);
+        // 409: a webhook is set for the bot, so getUpdates is refused
+        const hint = error.response && error.response.status === 409 ? ' (delete the bot\'s webhook to use polling)' : '';
+        console.warn(`⚠️ Telegram polling failed: ${error.message}${hint}, retrying in ${Math.round(delay / 1000)}s`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * Start long polling (it idles until a channel enables polling mode)
+   */
+  function start() {
+    if (polling) return;
+    polling = true;
+    poll();
+  }
+
+  /**
+   * Express handler for POST /telegram/webhook
+   * Telegram sends the configured secret in X-Telegram-Bot-Api-Secret-Token
+   */
+  function handleWebhook(req, res) {
+    const channel = getChannel();
+    if (!channel || channel.commands.mode !== 'webhook' || !channel.commands.webhookSecret) {
+      return res.status(404).json({ success: false, message: 'Telegram webhook is not enabled' });
+    }
+    if (!secretsMatch(req.get('X-Telegram-Bot-Api-Secret-Token') || '', channel.commands.webhookSecret)) {
+      return res.status(401).json({ success: false, message: 'Invalid secret token' });
+    }
+
+    // Answer right away; Telegram resends updates that aren't acknowledged in time
+    res.json({ success: true });
+    handleUpdate(channel, req.body).catch(error => {
+      console.error('⚠️ Could not answer Telegram command:', error.message);
+    });
+  }
+
+  return { start, handleWebhook };
+}
+
+module.exports = {
+  createTelegramBot
+};
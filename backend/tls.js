@@ -0,0 +1,141 @@
+/**
+ * TLS Certificate Inspection
+ * Opens a separate TLS connection to capture the peer certificate and whether its chain
+ * would be trusted, independently of the lenient agent used for the HTTP check itself
+ */
+
+const tls = require('tls');
+const net = require('net');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days before expiry at which a warning alert is sent (override with TLS_WARNING_DAYS="30,14,7")
+const DEFAULT_TLS_WARNING_DAYS = (process.env.TLS_WARNING_DAYS || '30,14,7')
+  .split(',')
+  .map(value => Number(value.trim()))
+  .filter(value => Number.isInteger(value) && value >= 0);
+
+/**
+ * Format a certificate subject/issuer object (e.g. { CN, O }) as a readable string
+ */
+function formatDistinguishedName(name) {
+  if (!name || typeof name !== 'object') return null;
+  return Object.entries(name)
+    .map(([key, value]) => `${key}=${Array.isArray(value) ? value.join('+') : value}`)
+    .join(', ');
+}
+
+/**
+ * Summarise the certificate chain from getPeerCertificate(true), leaf first
+ */
+function summariseChain(certificate) {
+  const chain = [];
+  const seen = new Set();
+  let current = certificate;
+
+  while (current && current.fingerprint256 && !seen.has(current.fingerprint256)) {
+    seen.add(current.fingerprint256);
+    chain.push({
+      subject: formatDistinguishedName(current.subject),
+      issuer: formatDistinguishedName(current.issuer),
+      validTo: new Date(current.valid_to).toISOString()
+    });
+    current = current.issuerCertificate;
+  }
+
+  return chain;
+}
+
+/**
+ * Connect to an HTTPS endpoint and capture its certificate details
+ * @param {string} url - https:// URL (host and port are taken from it)
+ * @param {Object} options - { timeout } in ms
+ * @returns {Promise<Object>} { issuer, subject, subjectAltNames, validFrom, validTo, daysToExpiry,
+ *   expired, authorized, authorizationError, hostnameValid, chainValid, fingerprint256, chain }
+ */
+function inspectCertificate(url, { timeout = 5000 } = {}) {
+  const { hostname, port } = new URL(url);
+  const host = hostname.replace(/^\[|\]$/g, '');
+
+  return new Promise((resolve, reject) => {
+    const socket = tls.connect({
+      host,
+      port: Number(port) || 443,
+      // SNI is only valid for host names, not IP addresses
+      servername: net.isIP(host) ? undefined : host,
+      // Verification is evaluated below instead of aborting the handshake
+      rejectUnauthorized: false,
+      timeout
+    });
+
+    socket.once('secureConnect', () => {
+      const certificate = socket.getPeerCertificate(true);
+      const authorized = socket.authorized;
+      const authorizationError = socket.authorizationError ? String(socket.authorizationError) : null;
+      socket.end();
+
+      if (!certificate || !certificate.valid_to) {
+        reject(new Error('No peer certificate presented'));
+        return;
+      }
+
+      const validTo = new Date(certificate.valid_to);
+      const identityError = tls.checkServerIdentity(host, certificate);
+      const daysToExpiry = Math.floor((validTo.getTime() - Date.now()) / DAY_MS);
+      const hostnameValid = !identityError;
+
+      resolve({
+        issuer: formatDistinguishedName(certificate.issuer),
+        subject: formatDistinguishedName(certificate.subject),
+        subjectAltNames: certificate.subjectaltname
+          ? certificate.subjectaltname.split(',').map(name => name.trim().replace(/^DNS:/, ''))
+          : [],
+        validFrom: new Date(certificate.valid_from).toISOString(),
+        validTo: validTo.toISOString(),
+        daysToExpiry,
+        expired: validTo.getTime() <= Date.now(),
+        authorized,
+        authorizationError,
+        hostnameValid,
+        hostnameError: identityError ? identityError.message : null,
+        chainValid: authorized && hostnameValid,
+        fingerprint256: certificate.fingerprint256,
+        chain: summariseChain(certificate)
+      });
+    });
+
+    socket.once('timeout', () => {
+      socket.destroy();
+      reject(new Error(`TLS handshake timeout (${timeout / 1000} seconds)`));
+    });
+
+    socket.once('error', error => {
+      socket.destroy();
+      reject(error);
+    });
+  });
+}
+
+/**
+ * Describe why a certificate is not fully valid
+ * @param {Object} certificate - Result from inspectCertificate()
+ * @returns {string|null} Reason, or null when the certificate is valid
+ */
+function describeCertificateProblem(certificate) {
+  if (certificate.expired) {
+    return `Certificate expired on ${certificate.validTo}`;
+  }
+  if (!certificate.authorized) {
+    return `Certificate chain not trusted (${certificate.authorizationError || 'unknown reason'})`;
+  }
+  if (!certificate.hostnameValid) {
+    return `Certificate does not match host (${certificate.hostnameError})`;
+  }
+  return null;
+}
+
+module.exports = {
+  DEFAULT_TLS_WARNING_DAYS,
+  inspectCertificate,
+  describeCertificateProblem
+};
@@ -0,0 +1,293 @@
+/**
+ * Transaction Checks
+ * Scripted checks that run a site's HTTP "steps" in order (e.g. open the login page, post
+ * the form with its CSRF token, open the dashboard). Steps share a cookie jar, values
+ * extracted from one response can be used as {{name}} in later requests, and the check
+ * fails at the first step that errors or fails its status/assertion checks.
+ * Results use the same shape as HTTP checks, plus the timing of every step that ran.
+ */
+
+const { isExpectedStatus, PLACEHOLDER_PATTERN } = require('./siteSchema');
+const { evaluateAssertions, parseJsonPath, resolveJsonPath } = require('./assertions');
+const { expandEnvVars, describeRequestError } = require('./utils');
+const { requestWithRedirects } = require('./redirects');
+
+/**
+ * Create a cookie jar holding cookies set during one transaction
+ * Honours Domain, Path, Secure, Max-Age and Expires
+ * @returns {Object} { store, header, get }
+ */
+function createCookieJar() {
+  let cookies = [];
+
+  const domainMatches = (host, domain) => host === domain || host.endsWith(`.${domain}`);
+  const pathMatches = (path, cookiePath) => path === cookiePath ||
+    (path.startsWith(cookiePath) && (cookiePath.endsWith('/') || path[cookiePath.length] === '/'));
+  const isLive = cookie => cookie.expiresAt === null || cookie.expiresAt > Date.now();
+
+  /**
+   * Store the Set-Cookie headers of a response
+   * @param {string} url - URL the response came from
+   * @param {Array<string>|undefined} setCookieHeaders - Set-Cookie header values
+   */
+  function store(url, setCookieHeaders) {
+    const { hostname, pathname } = new URL(url);
+
+    (setCookieHeaders || []).forEach(headerValue => {
+      const [pair, ...attributes] = headerValue.split(';');
+      const separator = pair.indexOf('=');
+      if (separator < 1) return;
+
+      const cookie = {
+        name: pair.slice(0, separator).trim(),
+        value: pair.slice(separator + 1).trim(),
+        domain: hostname,
+        hostOnly: true,
+        path: pathname.slice(0, pathname.lastIndexOf('/')) || '/',
+        secure: false,
+        expiresAt: null
+      };
+      let maxAge = null;
+
+      for (const attribute of attributes) {
+        const [key, ...rest] = attribute.split('=');
+        const value = rest.join('=').trim();
+        switch (key.trim().toLowerCase()) {
+          case 'domain': {
+            const domain = value.replace(/^\./, '').toLowerCase();
+            // Cookies for other sites are rejected, as browsers do
+            if (!domain || !domainMatches(hostname, domain)) return;
+            cookie.domain = domain;
+            cookie.hostOnly = false;
+            break;
+          }
+          case 'path':
+            if (value.startsWith('/')) cookie.path = value;
+            break;
+          case 'secure':
+            cookie.secure = true;
+            break;
+          case 'max-age':
+            if (/^-?\d+$/.test(value)) maxAge = Number(value);
+            break;
+          case 'expires':
+            if (!isNaN(Date.parse(value))) cookie.expiresAt = Date.parse(value);
+            break;
+        }
+      }
+      if (maxAge !== null) {
+        cookie.expiresAt = Date.now() + maxAge * 1000;
+      }
+
+      // A cookie replaces the one with the same name, domain and path (expired ones delete it)
+      cookies = cookies.filter(existing =>
+        !(existing.name === cookie.name && existing.domain === cookie.domain && existing.path === cookie.path));
+      if (isLive(cookie)) {
+        cookies.push(cookie);
+      }
+    });
+  }
+
+  /**
+   * Cookie header to send with a request
+   * @param {string} url - Request URL
+   * @returns {string|null}
+   */
+  function header(url) {
+    const { hostname, pathname, protocol } = new URL(url);
+    const matching = cookies.filter(cookie =>
+      isLive(cookie) &&
+      (cookie.hostOnly ? hostname === cookie.domain : domainMatches(hostname, cookie.domain)) &&
+      pathMatches(pathname, cookie.path) &&
+      (!cookie.secure || protocol === 'https:'));
+    return matching.length > 0 ? matching.map(cookie => `${cookie.name}=${cookie.value}`).join('; ') : null;
+  }
+
+  /**
+   * Value of the most recently set live cookie with a name
+   */
+  function get(name) {
+    const matching = cookies.filter(cookie => cookie.name === name && isLive(cookie));
+    return matching.length > 0 ? matching[matching.length - 1].value : null;
+  }
+
+  return { store, header, get };
+}
+
+/**
+ * Replace {{name}} placeholders in strings, arrays and plain objects (recursively)
+ * @param {*} value - Template
+ * @param {Object} variables - Values extracted so far
+ * @param {Function} [encode] - Applied to each inserted value (e.g. encodeURIComponent for URLs)
+ */
+function interpolate(value, variables, encode = text => text) {
+  if (typeof value === 'string') {
+    return value.replace(PLACEHOLDER_PATTERN, (match, name) => encode(variables[name] ?? ''));
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => interpolate(item, variables, encode));
+  }
+  if (value && typeof value === 'object') {
+    const result = {};
+    Object.keys(value).forEach(key => {
+      result[key] = interpolate(value[key], variables, encode);
+    });
+    return result;
+  }
+  return value;
+}
+
+/**
+ * Extract a value from a step's response
+ * @param {Object} rule - Extraction rule ({ regex, flags, group } | { jsonPath } | { header } | { cookie })
+ * @param {Object} response - axios response of the step's last request
+ * @param {Object} jar - Transaction cookie jar
+ * @returns {string|null} Extracted value, or null when nothing matched
+ */
+function extractValue(rule, response, jar) {
+  const body = typeof response.data === 'string' ? response.data : '';
+
+  if (rule.header !== undefined) {
+    const value = response.headers[rule.header.toLowerCase()];
+    return value === undefined ? null : String(Array.isArray(value) ? value[0] : value);
+  }
+  if (rule.cookie !== undefined) {
+    return jar.get(rule.cookie);
+  }
+  if (rule.jsonPath !== undefined) {
+    try {
+      const { found, value } = resolveJsonPath(JSON.parse(body), parseJsonPath(rule.jsonPath));
+      if (!found || value === null) return null;
+      return typeof value === 'string' ? value : JSON.stringify(value);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  const match = new RegExp(rule.regex, rule.flags).exec(body);
+  if (!match) return null;
+  const group = rule.group ?? (match.length > 1 ? 1 : 0);
+  return match[group] ?? null;
+}
+
+/**
+ * Run one step and check its response
+ * @returns {Promise<Object>} { statusCode, url, error, errorType, failedAssertion, values }
+ */
+async function runStep(site, step, variables, jar, requestDefaults) {
+  const request = {
+    // Encoded so a value containing "&", "?", "#" or "/" can't change the path or query
+    url: new URL(interpolate(step.url, variables, encodeURIComponent), site.url).href,
+    method: step.method,
+    headers: { ...requestDefaults.headers, ...interpolate(expandEnvVars(step.headers), variables) },
+    // Objects are serialized as JSON by axios
+    data: step.body !== undefined ? interpolate(expandEnvVars(step.body), variables) : undefined,
+    timeout: site.timeout,
+    httpsAgent: requestDefaults.httpsAgent,
+    httpAgent: requestDefaults.httpAgent,
+    responseType: 'text',
+    transformResponse: [body => body]
+  };
+
+  // Redirects are followed by hand so cookies set on every hop are kept
+  let outcome;
+  try {
+    outcome = await requestWithRedirects(request, {
+      followRedirects: step.followRedirects,
+      maxRedirects: step.maxRedirects,
+      policy: step.redirects,
+      jar
+    });
+  } catch (error) {
+    return { statusCode: null, url: request.url, ...describeRequestError(error, site.timeout) };
+  }
+
+  const { response, url, problem } = outcome;
+  const result = { statusCode: response.status, url, error: null, errorType: null };
+
+  if (problem) {
+    return { ...result, ...problem };
+  }
+
+  if (!isExpectedStatus(response.status, step.expectedStatus)) {
+    return { ...result, error: `Unexpected status code ${response.status}`, errorType: 'Unexpected Status' };
+  }
+
+  const failedAssertion = evaluateAssertions(step.assertions, response.data);
+  if (failedAssertion) {
+    return { ...result, error: failedAssertion.message, errorType: 'Assertion Failed', failedAssertion: failedAssertion.assertion };
+  }
+
+  const values = {};
+  for (const [name, rule] of Object.entries(step.extract)) {
+    const value = extractValue(rule, response, jar);
+    if (value === null) {
+      return { ...result, error: `Could not extract "${name}"`, errorType: 'Extraction Failed' };
+    }
+    values[name] = value;
+  }
+
+  return { ...result, values };
+}
+
+/**
+ * Run a transaction site's steps in order, stopping at the first failure
+ * @param {Object} site - Normalized transaction site (url, steps, timeout per step)
+ * @param {Object} requestDefaults - { httpAgent, httpsAgent, headers } shared with HTTP checks
+ * @returns {Promise<Object>} Check result; responseTime is the total, steps lists
+ *   { name, method, url, statusCode, responseTime, passed, error } for each step that ran
+ */
+async function runTransaction(site, requestDefaults) {
+  const startTime = Date.now();
+  const jar = createCookieJar();
+  const variables = {};
+  const steps = [];
+
+  for (let index = 0; index < site.steps.length; index++) {
+    const step = site.steps[index];
+    const stepStart = Date.now();
+    const outcome = await runStep(site, step, variables, jar, requestDefaults);
+    const stepTime = Date.now() - stepStart;
+
+    steps.push({
+      name: step.name,
+      method: step.method,
+      url: outcome.url,
+      statusCode: outcome.statusCode,
+      responseTime: stepTime,
+      passed: !outcome.error,
+      error: outcome.error
+    });
+
+    if (outcome.error) {
+      return {
+        status: 'DOWN',
+        statusCode: outcome.statusCode,
+        responseTime: Date.now() - startTime,
+        checkedAt: new Date().toISOString(),
+        error: `Step ${index + 1}/${site.steps.length} "${step.name}" failed after ${stepTime}ms: ${outcome.error}`,
+        errorType: outcome.errorType,
+        ...(outcome.failedAssertion ? { failedAssertion: outcome.failedAssertion } : {}),
+        failedStep: index,
+        steps
+      };
+    }
+
+    Object.assign(variables, outcome.values);
+  }
+
+  return {
+    status: 'UP',
+    statusCode: steps[steps.length - 1].statusCode,
+    responseTime: Date.now() - startTime,
+    checkedAt: new Date().toISOString(),
+    error: null,
+    errorType: null,
+    failedStep: null,
+    steps
+  };
+}
+
+module.exports = {
+  runTransaction
+};
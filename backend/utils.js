@@ -0,0 +1,150 @@
+/**
+ * Shared Helpers
+ * Small utilities used across backend modules
+ */
+
+// ${VAR_NAME} reference in a config value
+const ENV_VAR_PATTERN = /\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g;
+
+/**
+ * Replace ${VAR_NAME} references with environment variable values
+ * Works on strings, arrays and plain objects (recursively); unknown variables become ''
+ * Lets secrets such as auth tokens live in the environment instead of JSON config files
+ * @param {*} value - Value to expand
+ * @returns {*} Expanded copy
+ */
+function expandEnvVars(value) {
+  if (typeof value === 'string') {
+    return value.replace(ENV_VAR_PATTERN, (match, name) => process.env[name] ?? '');
+  }
+  if (Array.isArray(value)) {
+    return value.map(expandEnvVars);
+  }
+  if (value && typeof value === 'object') {
+    const expanded = {};
+    Object.keys(value).forEach(key => {
+      expanded[key] = expandEnvVars(value[key]);
+    });
+    return expanded;
+  }
+  return value;
+}
+
+/**
+ * Names of the ${VAR_NAME} references in a value whose environment variable is unset
+ * @param {*} value - Value expandEnvVars() would expand
+ * @returns {Array<string>} Unique variable names
+ */
+function findUnsetEnvVars(value) {
+  const unset = new Set();
+  const visit = item => {
+    if (typeof item === 'string') {
+      for (const [, name] of item.matchAll(ENV_VAR_PATTERN)) {
+        if (process.env[name] === undefined) unset.add(name);
+      }
+    } else if (item && typeof item === 'object') {
+      Object.values(item).forEach(visit);
+    }
+  };
+  visit(value);
+  return [...unset];
+}
+
+/**
+ * Check for a plain JSON object (not null, not an array)
+ */
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+const DURATION_UNITS_MS = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000
+};
+
+/**
+ * Parse a duration such as "30s", "15m", "1h30m" or a plain number of seconds
+ * @param {string|number} value - Duration to parse
+ * @returns {number|null} Milliseconds, or null when the value is not a valid duration
+ */
+function parseDuration(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value >= 0 ? Math.round(value * 1000) : null;
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const text = value.trim().toLowerCase();
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return Math.round(Number(text) * 1000);
+  }
+  if (!/^(\d+(\.\d+)?(ms|s|m|h|d))+$/.test(text)) {
+    return null;
+  }
+
+  let total = 0;
+  text.replace(/(\d+(?:\.\d+)?)(ms|s|m|h|d)/g, (match, amount, unit) => {
+    total += Number(amount) * DURATION_UNITS_MS[unit];
+    return match;
+  });
+  return Math.round(total);
+}
+
+/**
+ * Format a duration for people, e.g. 45s, 12m, 3h 5m, 2d 4h
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string}
+ */
+function formatDuration(ms) {
+  const seconds = Math.max(0, Math.round(ms / 1000));
+  if (seconds < 60) return `${seconds}s`;
+
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m`;
+
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return minutes % 60 ? `${hours}h ${minutes % 60}m` : `${hours}h`;
+
+  const days = Math.floor(hours / 24);
+  return hours % 24 ? `${days}d ${hours % 24}h` : `${days}d`;
+}
+
+/**
+ * Classify an error thrown by an HTTP request (axios) for check results
+ * @param {Error} error - Request error
+ * @param {number} timeout - Request timeout in ms (used in the timeout message)
+ * @returns {Object} { error, errorType }
+ */
+function describeRequestError(error, timeout) {
+  if (error.code === 'ECONNABORTED') {
+    return { error: `Request timeout (${timeout / 1000} seconds)`, errorType: 'Timeout' };
+  }
+  if (error.code === 'ENOTFOUND') {
+    return { error: 'Domain not found', errorType: 'DNS Error' };
+  }
+  if (error.code === 'ECONNREFUSED') {
+    return { error: 'Connection refused', errorType: 'Connection Error' };
+  }
+  if (error.code === 'ERR_TLS_CERT_ALTNAME_INVALID' || error.code === 'CERT_HAS_EXPIRED' || error.message.includes('certificate')) {
+    // Still DOWN: the TLS error was not absorbed by the lenient https agent, so the
+    // connection could not be verified
+    return { error: 'SSL certificate issue (but connection was made)', errorType: 'SSL Warning' };
+  }
+  if (error.message.includes('getaddrinfo')) {
+    return { error: 'Network error', errorType: 'Network Error' };
+  }
+  return { error: error.message || 'Unknown error', errorType: 'Unknown' };
+}
+
+module.exports = {
+  expandEnvVars,
+  findUnsetEnvVars,
+  isPlainObject,
+  parseDuration,
+  formatDuration,
+  describeRequestError
+};
@@ -0,0 +1,247 @@
+/**
+ * CheckUpSite Dashboard - Charts
+ * Small SVG chart helpers (sparklines, uptime bars, response time chart, bar lists)
+ * rendered without any charting library
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/**
+ * Render a sparkline of response times as an SVG string
+ * @param {Array<number|null>} values - Oldest first; null values (failed checks) leave a gap
+ * @param {Object} options - { width, height }
+ */
+function renderSparkline(values, { width = 120, height = 28 } = {}) {
+    const numbers = values.filter(value => typeof value === 'number');
+    if (numbers.length < 2) {
+        return '';
+    }
+
+    const max = Math.max(...numbers);
+    const min = Math.min(...numbers);
+    const range = max - min || 1;
+    const step = width / (values.length - 1);
+
+    // Start a new line segment after every gap
+    let path = '';
+    let drawing = false;
+    values.forEach((value, index) => {
+        if (typeof value !== 'number') {
+            drawing = false;
+            return;
+        }
+        const x = (index * step).toFixed(1);
+        const y = (height - 2 - ((value - min) / range) * (height - 4)).toFixed(1);
+        path += `${drawing ? 'L' : 'M'}${x},${y} `;
+        drawing = true;
+    });
+
+    return `<svg class="sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" aria-hidden="true">` +
+        `<path d="${path.trim()}" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linejoin="round"/></svg>`;
+}
+
+/**
+ * Render an uptime bar with one segment per check, as an HTML string
+ * Checks made during maintenance are shown separately and left out of the percentage;
+ * DEGRADED (slow) checks count as successful but get their own colour
+ * @param {Array<Object>} checks - History entries ({ status, checkedAt, maintenance }), oldest first
+ */
+function renderUptimeBar(checks) {
+    if (checks.length === 0) {
+        return '';
+    }
+
+    const measured = checks.filter(check => !check.maintenance);
+    const upCount = measured.filter(check => check.status !== 'DOWN').length;
+    const summary = measured.length > 0
+        ? `${((upCount / measured.length) * 100).toFixed(1)}% of the last ${measured.length} checks succeeded`
+        : 'All recent checks were during maintenance';
+    const segments = checks.map(check => {
+        let className = { DOWN: 'uptime-segment-down', DEGRADED: 'uptime-segment-degraded' }[check.status] || 'uptime-segment-up';
+        let label = check.status;
+        if (check.maintenance) {
+            className = 'uptime-segment-maintenance';
+            label = `${check.status} (maintenance)`;
+        }
+        return `<span class="uptime-segment ${className}" title="${label} · ${new Date(check.checkedAt).toLocaleString()}"></span>`;
+    }).join('');
+
+    return `<div class="uptime-bar" title="${summary}">${segments}</div>`;
+}
+
+/**
+ * Render a list of labelled horizontal bars, largest first, as an HTML string
+ * @param {Array<Object>} items - [{ label, count, className }]
+ */
+function renderBarList(items) {
+    if (items.length === 0) {
+        return '<p class="chart-empty">No data</p>';
+    }
+
+    const total = items.reduce((sum, item) => sum + item.count, 0);
+    const max = Math.max(...items.map(item => item.count));
+    return items
+        .slice()
+        .sort((a, b) => b.count - a.count)
+        .map(item => `
+            <div class="bar-row">
+                <span class="bar-label">${escapeHtml(item.label)}</span>
+                <span class="bar-track"><span class="bar-fill ${item.className || ''}" style="width: ${(item.count / max) * 100}%"></span></span>
+                <span class="bar-count">${item.count} (${((item.count / total) * 100).toFixed(1)}%)</span>
+            </div>`)
+        .join('');
+}
+
+/**
+ * Create an SVG element with attributes
+ */
+function svgElement(tag, attributes = {}) {
+    const element = document.createElementNS(SVG_NS, tag);
+    Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+    return element;
+}
+
+/**
+ * Format a time axis label, with the date when the visible range spans days
+ */
+function formatAxisTime(time, span) {
+    const date = new Date(time);
+    if (span > 2 * 24 * 60 * 60 * 1000) {
+        return date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+    }
+    return date.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Draw a response time chart that can be zoomed by dragging across it
+ * UP checks are drawn as a line, failed checks as red markers along the bottom,
+ * and incidents as shaded bands. Double-click (or reset()) shows the full range again.
+ * @param {HTMLElement} container - Element to draw into (its contents are replaced)
+ * @param {Array<Object>} checks - History entries, oldest first
+ * @param {Object} options - { from, to, incidents, onRangeChange(from, to) }
+ * @returns {Object} { reset }
+ */
+function createResponseChart(container, checks, { from, to, incidents = [], onRangeChange = () => {} }) {
+    const height = 240;
+    const padding = { top: 12, right: 12, bottom: 28, left: 56 };
+    let view = { from, to };
+
+    function draw() {
+        const width = container.clientWidth || 800;
+        const plotWidth = width - padding.left - padding.right;
+        const plotHeight = height - padding.top - padding.bottom;
+        const visible = checks.filter(check => {
+            const time = Date.parse(check.checkedAt);
+            return time >= view.from && time <= view.to;
+        });
+        const upTimes = visible.filter(check => check.status !== 'DOWN' && typeof check.responseTime === 'number');
+        const maxResponse = Math.max(100, ...upTimes.map(check => check.responseTime)) * 1.1;
+        const span = view.to - view.from || 1;
+
+        const x = time => padding.left + ((time - view.from) / span) * plotWidth;
+        const y = value => padding.top + plotHeight - (value / maxResponse) * plotHeight;
+
+        const svg = svgElement('svg', { width, height, class: 'response-chart' });
+
+        // Incident bands
+        incidents.forEach(incident => {
+            const start = Math.max(Date.parse(incident.startedAt), view.from);
+            const end = Math.min(incident.endedAt ? Date.parse(incident.endedAt) : Date.now(), view.to);
+            if (end <= start) return;
+            const band = svgElement('rect', {
+                x: x(start), y: padding.top, width: Math.max(1, x(end) - x(start)), height: plotHeight,
+                class: 'chart-incident'
+            });
+            band.appendChild(svgElement('title')).textContent = `Incident #${incident.id}`;
+            svg.appendChild(band);
+        });
+
+        // Grid lines and axis labels
+        for (let i = 0; i <= 4; i++) {
+            const value = (maxResponse / 4) * i;
+            svg.appendChild(svgElement('line', { x1: padding.left, x2: width - padding.right, y1: y(value), y2: y(value), class: 'chart-grid' }));
+            const label = svgElement('text', { x: padding.left - 6, y: y(value) + 4, class: 'chart-label', 'text-anchor': 'end' });
+            label.textContent = `${Math.round(value)}ms`;
+            svg.appendChild(label);
+        }
+        for (let i = 0; i <= 4; i++) {
+            const time = view.from + (span / 4) * i;
+            const label = svgElement('text', { x: x(time), y: height - 8, class: 'chart-label', 'text-anchor': 'middle' });
+            label.textContent = formatAxisTime(time, span);
+            svg.appendChild(label);
+        }
+
+        // Response time line, broken at failed checks
+        let path = '';
+        let drawing = false;
+        visible.forEach(check => {
+            if (check.status === 'DOWN' || typeof check.responseTime !== 'number') {
+                drawing = false;
+                return;
+            }
+            path += `${drawing ? 'L' : 'M'}${x(Date.parse(check.checkedAt)).toFixed(1)},${y(check.responseTime).toFixed(1)} `;
+            drawing = true;
+        });
+        svg.appendChild(svgElement('path', { d: path.trim() || 'M0,0', class: 'chart-line' }));
+
+        // Failed checks
+        visible.filter(check => check.status === 'DOWN').forEach(check => {
+            const marker = svgElement('circle', { cx: x(Date.parse(check.checkedAt)), cy: padding.top + plotHeight - 3, r: 3, class: 'chart-failure' });
+            marker.appendChild(svgElement('title')).textContent = `${new Date(check.checkedAt).toLocaleString()}: ${check.errorType || 'DOWN'}`;
+            svg.appendChild(marker);
+        });
+
+        // Drag to zoom
+        const brush = svgElement('rect', { y: padding.top, height: plotHeight, width: 0, class: 'chart-brush' });
+        svg.appendChild(brush);
+        let dragStart = null;
+        const toTime = clientX => {
+            const offset = clientX - svg.getBoundingClientRect().left;
+            const clamped = Math.min(Math.max(offset, padding.left), width - padding.right);
+            return { offset: clamped, time: view.from + ((clamped - padding.left) / plotWidth) * span };
+        };
+        svg.addEventListener('mousedown', event => {
+            dragStart = toTime(event.clientX);
+            brush.setAttribute('x', dragStart.offset);
+            brush.setAttribute('width', 0);
+        });
+        svg.addEventListener('mousemove', event => {
+            if (!dragStart) return;
+            const current = toTime(event.clientX);
+            brush.setAttribute('x', Math.min(dragStart.offset, current.offset));
+            brush.setAttribute('width', Math.abs(current.offset - dragStart.offset));
+        });
+        svg.addEventListener('mouseup', event => {
+            if (!dragStart) return;
+            const end = toTime(event.clientX);
+            const start = dragStart;
+            dragStart = null;
+            if (Math.abs(end.offset - start.offset) < 5) {
+                brush.setAttribute('width', 0);
+                return;
+            }
+            setView(Math.min(start.time, end.time), Math.max(start.time, end.time));
+        });
+        svg.addEventListener('mouseleave', () => {
+            dragStart = null;
+            brush.setAttribute('width', 0);
+        });
+        svg.addEventListener('dblclick', reset);
+
+        container.innerHTML = '';
+        container.appendChild(svg);
+    }
+
+    function setView(viewFrom, viewTo) {
+        view = { from: viewFrom, to: viewTo };
+        draw();
+        onRangeChange(viewFrom, viewTo);
+    }
+
+    function reset() {
+        setView(from, to);
+    }
+
+    draw();
+    return { reset };
+}
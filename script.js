@@ -8,22 +8,84 @@ const API_BASE_URL = (window.location.hostname === 'localhost' || window.locatio
     ? 'http://localhost:5000'
     : 'https://checkupsite.onrender.com';
 
+// API key for backends that require one (kept in this browser only)
+const API_TOKEN_STORAGE_KEY = 'checkupsite_api_token';
+
 // Elements
 const checkNowBtn = document.getElementById('checkBtn');
+const apiKeyBtn = document.getElementById('apiKeyBtn');
 const errorMessage = document.getElementById('errorMessage');
 const sitesList = document.getElementById('sitesList');
 const lastUpdatedEl = document.getElementById('lastUpdated');
 const statUp = document.getElementById('upCount');
+const statDegraded = document.getElementById('degradedCount');
 const statDown = document.getElementById('downCount');
 const statTotal = document.getElementById('totalSites');
 const statUptimeEl = document.getElementById('uptime');
+const statUptimeWindowsEl = document.getElementById('uptimeWindows');
+const statAvgResponseEl = document.getElementById('avgResponse');
+const statPercentilesEl = document.getElementById('responsePercentiles');
+const liveStatusEl = document.getElementById('liveStatus');
+const siteDetailEl = document.getElementById('siteDetail');
+const detailTitleEl = document.getElementById('detailTitle');
+const detailSummaryEl = document.getElementById('detailSummary');
+const detailChartEl = document.getElementById('detailChart');
+const detailStatusCodesEl = document.getElementById('detailStatusCodes');
+const detailErrorsEl = document.getElementById('detailErrors');
+const detailIncidentsEl = document.getElementById('detailIncidents');
+const siteSearchEl = document.getElementById('siteSearch');
+const siteSortEl = document.getElementById('siteSort');
 
 let isChecking = false;
 
+// Sites currently shown (name → site) and their card elements, for in-place updates
+let dashboardSites = {};
+const siteCards = new Map();
+
+// Site list order options, and the groups the user collapsed ('' is "Ungrouped"), kept across visits
+const SORT_STORAGE_KEY = 'checkupsite_sort';
+const COLLAPSED_GROUPS_STORAGE_KEY = 'checkupsite_collapsed_groups';
+const STATUS_RANK = { DOWN: 0, DEGRADED: 2, UP: 4 };
+const SITE_SORTS = {
+    config: () => 0,
+    name: (a, b) => a.name.localeCompare(b.name),
+    status: (a, b) => statusRank(a) - statusRank(b) || a.name.localeCompare(b.name),
+    response: (a, b) => (b.responseTime ?? -1) - (a.responseTime ?? -1) || a.name.localeCompare(b.name)
+};
+const collapsedGroups = loadCollapsedGroups();
+
+// Live update stream (Server-Sent Events from /api/events)
+const EVENTS_RECONNECT_MIN = 5000;
+const EVENTS_RECONNECT_MAX = 60000;
+let eventSource = null;
+let eventsReconnectDelay = EVENTS_RECONNECT_MIN;
+let eventsReconnectTimer = null;
+
+// Recent checks per site (name → history entries, oldest first) for card sparklines and uptime bars
+const CARD_HISTORY_CHECKS = 30;
+const siteHistory = new Map();
+
+// Detail view: time ranges offered, and the site/range currently open
+const DETAIL_RANGES = {
+    '24h': 24 * 60 * 60 * 1000,
+    '7d': 7 * 24 * 60 * 60 * 1000,
+    '30d': 30 * 24 * 60 * 60 * 1000
+};
+const DETAIL_HISTORY_LIMIT = 5000;
+let detailSiteName = null;
+let detailRange = '24h';
+let detailChart = null;
+
 // Initialize on page load
 document.addEventListener('DOMContentLoaded', function() {
     console.log('CheckUpSite Dashboard Loaded');
     
+    // Restore the order chosen on a previous visit
+    const savedSort = localStorage.getItem(SORT_STORAGE_KEY);
+    if (SITE_SORTS[savedSort]) {
+        siteSortEl.value = savedSort;
+    }
+    
     // Load saved data from localStorage
     const savedData = loadFromLocalStorage();
     if (savedData) {
@@ -32,19 +94,49 @@ document.addEventListener('DOMContentLoaded', function() {
         sitesList.innerHTML = '<div class="loading-message">📡 Checking sites...</div>';
     }
     
+    updateApiKeyButton();
+    
     // Check if backend is running
     pingBackend();
     
-    // Automatically check sites on page load
-    checkSites();
+    // Show the background monitoring results, then follow live updates
+    loadStatus().then(connectEvents);
 });
 
 // Event listeners
 checkNowBtn.addEventListener('click', checkSites);
+apiKeyBtn.addEventListener('click', promptForApiToken);
+siteSearchEl.addEventListener('input', renderSiteList);
+siteSortEl.addEventListener('change', function() {
+    localStorage.setItem(SORT_STORAGE_KEY, siteSortEl.value);
+    renderSiteList();
+});
+document.getElementById('detailClose').addEventListener('click', closeSiteDetail);
+document.getElementById('detailResetZoom').addEventListener('click', () => detailChart && detailChart.reset());
+document.querySelectorAll('.detail-range').forEach(button => {
+    button.addEventListener('click', () => {
+        detailRange = button.dataset.range;
+        loadSiteDetail();
+    });
+});
+siteDetailEl.addEventListener('click', function(event) {
+    // Clicking the backdrop (outside the panel) closes the detail view
+    if (event.target === siteDetailEl) {
+        closeSiteDetail();
+    }
+});
 
 // Keyboard shortcut: Press 'R' to check now
 document.addEventListener('keydown', function(event) {
-    if (event.key.toLowerCase() === 'r' && !isChecking) {
+    if (event.key === 'Escape' && detailSiteName) {
+        closeSiteDetail();
+        return;
+    }
+    // Typing in the search box shouldn't trigger shortcuts
+    if (event.target.matches('input, select')) {
+        return;
+    }
+    if (event.key.toLowerCase() === 'r' && !isChecking && !detailSiteName) {
         checkSites();
     }
 });
@@ -91,6 +183,187 @@ async function pingBackend(retryCount = 0, maxRetries = 3) {
   }
 }
 
+/**
+ * Get the API key saved in this browser, if any
+ */
+function getApiToken() {
+    try {
+        return localStorage.getItem(API_TOKEN_STORAGE_KEY) || '';
+    } catch (error) {
+        return '';
+    }
+}
+
+/**
+ * Ask for an API key and save it locally (an empty value removes it)
+ */
+function promptForApiToken() {
+    const token = window.prompt('API key for the CheckUpSite backend (leave empty to remove):', getApiToken());
+    if (token === null) return;
+    
+    try {
+        if (token.trim()) {
+            localStorage.setItem(API_TOKEN_STORAGE_KEY, token.trim());
+        } else {
+            localStorage.removeItem(API_TOKEN_STORAGE_KEY);
+        }
+    } catch (error) {
+        console.warn('Could not save API key:', error);
+    }
+    updateApiKeyButton();
+    loadStatus().then(connectEvents);
+}
+
+/**
+ * Show whether an API key is set on the key button
+ */
+function updateApiKeyButton() {
+    apiKeyBtn.textContent = getApiToken() ? '🔑 API Key ✓' : '🔑 API Key';
+}
+
+/**
+ * fetch() against the backend API, sending the saved API key
+ * @param {string} path - Path such as '/api/check'
+ * @param {Object} options - fetch options
+ */
+function apiFetch(path, options = {}) {
+    const token = getApiToken();
+    const headers = { ...(options.headers || {}) };
+    if (token) {
+        headers['Authorization'] = `Bearer ${token}`;
+    }
+    return fetch(`${API_BASE_URL}${path}`, { ...options, headers });
+}
+
+/**
+ * Describe a failed API response, pointing at the API key for auth errors
+ */
+function describeApiError(response) {
+    if (response.status === 401) {
+        return getApiToken()
+            ? 'The saved API key was rejected. Click "API Key" to update it.'
+            : 'This backend requires an API key. Click "API Key" to set one.';
+    }
+    if (response.status === 403) {
+        return 'The saved API key is not allowed to do this.';
+    }
+    return `Backend returned ${response.status}: ${response.statusText}`;
+}
+
+/**
+ * Convert a /api/status entry to the site shape used by the cards (same as /api/check)
+ */
+function statusToSite(entry) {
+    return {
+        name: entry.name,
+        url: entry.url,
+        group: entry.group,
+        tags: entry.tags,
+        status: entry.lastStatus,
+        statusCode: entry.lastStatusCode,
+        responseTime: entry.lastResponseTime,
+        error: entry.lastError,
+        errorType: entry.lastErrorType,
+        checkedAt: entry.lastCheckedAt,
+        tls: entry.tls,
+        flapping: entry.flapping,
+        pendingStatus: entry.pendingStatus,
+        latencyLevel: entry.latencyLevel,
+        maintenance: entry.maintenance,
+        mutedUntil: entry.mutedUntil,
+        steps: entry.steps,
+        redirectChain: entry.redirectChain
+    };
+}
+
+/**
+ * Load the last known status of every site from background monitoring
+ * Cheap for the backend (no live checks), so it is used on page load and after reconnects
+ */
+async function loadStatus() {
+    try {
+        const response = await apiFetch('/api/status');
+        if (!response.ok) {
+            throw new Error(describeApiError(response));
+        }
+        
+        const data = await response.json();
+        const dashboardData = {
+            timestamp: data.timestamp,
+            summary: data.summary,
+            // Sites that haven't been checked yet have no status to show
+            sites: data.sites.filter(entry => entry.lastStatus !== null).map(statusToSite)
+        };
+        saveToLocalStorage(dashboardData);
+        updateDashboard(dashboardData);
+        loadSla();
+        loadCardHistory();
+    } catch (error) {
+        console.error('Error loading status:', error);
+        showError(`Error: ${error.message}`);
+    }
+}
+
+/**
+ * Subscribe to live updates from the backend, reconnecting automatically
+ */
+function connectEvents() {
+    clearTimeout(eventsReconnectTimer);
+    if (eventSource) {
+        eventSource.close();
+    }
+    
+    // EventSource can't send headers, so the API key goes in the query string
+    const token = getApiToken();
+    const url = `${API_BASE_URL}/api/events${token ? `?access_token=${encodeURIComponent(token)}` : ''}`;
+    let wasDisconnected = false;
+    eventSource = new EventSource(url);
+    
+    eventSource.onopen = function() {
+        setLiveStatus(true);
+        eventsReconnectDelay = EVENTS_RECONNECT_MIN;
+        // Catch up on anything missed while disconnected
+        if (wasDisconnected) {
+            loadStatus();
+        }
+    };
+    
+    eventSource.onerror = function() {
+        setLiveStatus(false);
+        wasDisconnected = true;
+        // The browser retries dropped connections itself, but gives up after an HTTP error
+        if (eventSource.readyState === EventSource.CLOSED) {
+            eventsReconnectTimer = setTimeout(connectEvents, eventsReconnectDelay);
+            eventsReconnectDelay = Math.min(eventsReconnectDelay * 2, EVENTS_RECONNECT_MAX);
+        }
+    };
+    
+    eventSource.addEventListener('check', function(event) {
+        const site = statusToSite(JSON.parse(event.data));
+        addCardHistoryEntry(site);
+        updateSiteCard(site);
+    });
+    
+    eventSource.addEventListener('state-change', function(event) {
+        const change = JSON.parse(event.data);
+        console.log(`🔔 ${change.siteName}: ${change.previousStatus} → ${change.newStatus}`);
+        loadSla();
+    });
+    
+    // Sites were added or removed on the backend
+    eventSource.addEventListener('sites', function() {
+        loadStatus();
+    });
+}
+
+/**
+ * Show whether live updates are connected
+ */
+function setLiveStatus(connected) {
+    liveStatusEl.textContent = connected ? '● Live' : '○ Reconnecting...';
+    liveStatusEl.classList.toggle('live-connected', connected);
+}
+
 /**
  * Fetch site status from backend
  * Includes timeout handling for cold-start scenarios
@@ -108,13 +381,22 @@ async function checkSites() {
         const controller = new AbortController();
         const timeoutId = setTimeout(() => controller.abort(), 120000); // 120 second timeout for full check
         
-        const response = await fetch(`${API_BASE_URL}/api/check`, {
+        const response = await apiFetch('/api/check', {
             signal: controller.signal
         });
         clearTimeout(timeoutId);
         
+        if (response.status === 401 || response.status === 403) {
+            showError(`🔑 ${describeApiError(response)}`);
+            return;
+        }
+        if (response.status === 429) {
+            const retryAfter = response.headers.get('Retry-After');
+            showError(`⏳ Too many manual checks. Cards still update live; try "Check Now" again in ${retryAfter || 60}s.`);
+            return;
+        }
         if (!response.ok) {
-            throw new Error(`Backend returned ${response.status}: ${response.statusText}`);
+            throw new Error(describeApiError(response));
         }
         
         const data = await response.json();
@@ -130,7 +412,11 @@ async function checkSites() {
         // Update UI
         updateDashboard(data);
         
-        console.log('✓ Sites checked successfully', data);
+        // Results of a run that finished moments ago (possibly from another tab) are reused
+        console.log(data.cached ? '✓ Showing results of a recent check' : '✓ Sites checked successfully', data);
+        
+        // Refresh SLA figures recorded by background monitoring
+        loadSla();
         
     } catch (error) {
         console.error('Error checking sites:', error);
@@ -157,27 +443,280 @@ function updateDashboard(data) {
         return;
     }
     
-    // Calculate statistics
+    // Update stats cards (uptime is the backend's recorded 24h availability)
     const sites = data.sites;
-    const upCount = sites.filter(s => s.status === 'UP').length;
-    const downCount = sites.filter(s => s.status === 'DOWN').length;
-    const uptime = sites.length > 0 ? Math.round((upCount / sites.length) * 100) : 0;
-    
-    // Update stats cards
-    statTotal.textContent = sites.length;
-    statUp.textContent = upCount;
-    statDown.textContent = downCount;
-    statUptimeEl.textContent = `${uptime}%`;
+    statUptimeEl.textContent = (data.summary && data.summary.uptime) || 'N/A';
     
     // Update last checked time (use data.timestamp from API response)
     const lastCheckedTime = formatTime(data.timestamp);
     lastUpdatedEl.textContent = `Last checked: ${lastCheckedTime}`;
     
     // Render site cards
+    dashboardSites = {};
+    siteCards.clear();
+    sites.forEach(site => {
+        dashboardSites[site.name] = site;
+        siteCards.set(site.name, createSiteCard(site));
+    });
+    renderSiteList();
+    updateStatCounts();
+}
+
+/**
+ * Replace one site's card with fresh data (or add it), without re-rendering the rest
+ * The card keeps its place even if the chosen order would now move it, so the list
+ * doesn't jump around while being read; it is re-sorted on the next full render
+ */
+function updateSiteCard(site) {
+    const card = createSiteCard(site);
+    const existing = siteCards.get(site.name);
+    const previous = dashboardSites[site.name];
+    
+    dashboardSites[site.name] = site;
+    siteCards.set(site.name, card);
+    if (existing && existing.isConnected && previous.group === site.group) {
+        existing.replaceWith(card);
+        updateGroupSummaries();
+    } else {
+        // New sites, sites that moved group and sites hidden by the search need a full render
+        renderSiteList();
+    }
+    updateStatCounts();
+    lastUpdatedEl.textContent = `Last checked: ${formatTime(site.checkedAt)}`;
+    
+    saveToLocalStorage({
+        timestamp: site.checkedAt,
+        sites: Object.values(dashboardSites)
+    });
+}
+
+/**
+ * Lay out the site cards: filtered by the search box, in the chosen order and,
+ * when any site has a group, in collapsible sections per group (ungrouped sites last)
+ */
+function renderSiteList() {
+    const query = siteSearchEl.value.trim().toLowerCase();
+    const allSites = Object.values(dashboardSites);
+    const sites = allSites
+        .filter(site => matchesSearch(site, query))
+        .sort(SITE_SORTS[siteSortEl.value] || SITE_SORTS.config);
+    
     sitesList.innerHTML = '';
+    if (allSites.length === 0) {
+        sitesList.innerHTML = '<div class="loading-message">📡 Waiting for the first checks...</div>';
+        return;
+    }
+    if (sites.length === 0) {
+        sitesList.innerHTML = `<div class="loading-message">No sites match "${escapeHtml(query)}"</div>`;
+        return;
+    }
+    
+    if (!allSites.some(site => site.group)) {
+        sites.forEach(site => sitesList.appendChild(siteCards.get(site.name)));
+        return;
+    }
+    
+    const groups = new Map();
     sites.forEach(site => {
-        sitesList.appendChild(createSiteCard(site));
+        const key = site.group || '';
+        groups.set(key, (groups.get(key) || []).concat(site));
+    });
+    [...groups.keys()]
+        .sort((a, b) => (a === '') - (b === '') || a.localeCompare(b))
+        .forEach(key => sitesList.appendChild(createGroupSection(key, groups.get(key))));
+}
+
+/**
+ * Whether a site matches the search box (name, URL, group or a tag containing the text)
+ */
+function matchesSearch(site, query) {
+    if (!query) {
+        return true;
+    }
+    const fields = [site.name, site.url, site.group || '', ...(site.tags || [])];
+    return fields.some(field => field.toLowerCase().includes(query));
+}
+
+/**
+ * Sort rank for "Problems first": DOWN, flapping, DEGRADED, maintenance, then UP
+ */
+function statusRank(site) {
+    if (site.maintenance) return 3;
+    if (site.flapping) return 1;
+    return STATUS_RANK[site.status] ?? 5;
+}
+
+/**
+ * Create a collapsible section holding one group's cards
+ * @param {string} key - Group name ('' for sites without a group)
+ * @param {Array} sites - Sites in the group, in display order
+ */
+function createGroupSection(key, sites) {
+    const section = document.createElement('section');
+    section.className = 'site-group';
+    section.dataset.group = key;
+    section.classList.toggle('collapsed', collapsedGroups.has(key));
+    section.innerHTML = `
+        <button type="button" class="group-header" aria-expanded="${!collapsedGroups.has(key)}">
+            <span class="group-toggle">▾</span>
+            <span class="group-name">${escapeHtml(key || 'Ungrouped')}</span>
+            <span class="group-summary"></span>
+        </button>
+        <div class="group-sites"></div>
+    `;
+    
+    const list = section.querySelector('.group-sites');
+    sites.forEach(site => list.appendChild(siteCards.get(site.name)));
+    section.querySelector('.group-summary').innerHTML = groupSummaryHTML(key);
+    
+    section.querySelector('.group-header').addEventListener('click', function() {
+        const collapsed = section.classList.toggle('collapsed');
+        this.setAttribute('aria-expanded', String(!collapsed));
+        if (collapsed) {
+            collapsedGroups.add(key);
+        } else {
+            collapsedGroups.delete(key);
+        }
+        localStorage.setItem(COLLAPSED_GROUPS_STORAGE_KEY, JSON.stringify([...collapsedGroups]));
     });
+    
+    return section;
+}
+
+/**
+ * Counts shown in a group's header, e.g. "4 sites · 1 down", over every site in the group
+ */
+function groupSummaryHTML(key) {
+    const sites = Object.values(dashboardSites).filter(site => (site.group || '') === key);
+    const down = sites.filter(site => site.status === 'DOWN').length;
+    const degraded = sites.filter(site => site.status === 'DEGRADED').length;
+    
+    let html = `${sites.length} site${sites.length === 1 ? '' : 's'}`;
+    if (down > 0) html += ` · <span class="count-down">${down} down</span>`;
+    if (degraded > 0) html += ` · <span class="count-degraded">${degraded} degraded</span>`;
+    if (down === 0 && degraded === 0) html += ' · all up';
+    return html;
+}
+
+/**
+ * Refresh the group header counts after a card changed
+ */
+function updateGroupSummaries() {
+    sitesList.querySelectorAll('.site-group').forEach(section => {
+        section.querySelector('.group-summary').innerHTML = groupSummaryHTML(section.dataset.group);
+    });
+}
+
+/**
+ * Update the total / UP / DEGRADED / DOWN counters from the sites shown
+ */
+function updateStatCounts() {
+    const sites = Object.values(dashboardSites);
+    statTotal.textContent = sites.length;
+    statUp.textContent = sites.filter(s => s.status === 'UP').length;
+    statDegraded.textContent = sites.filter(s => s.status === 'DEGRADED').length;
+    statDown.textContent = sites.filter(s => s.status === 'DOWN').length;
+}
+
+/**
+ * Fetch the most recent checks of every site shown, for card sparklines and uptime bars
+ */
+async function loadCardHistory() {
+    await Promise.all(Object.keys(dashboardSites).map(async name => {
+        try {
+            const response = await apiFetch(`/api/history/${encodeURIComponent(name)}?limit=${CARD_HISTORY_CHECKS}`);
+            if (!response.ok) {
+                throw new Error(`Backend returned ${response.status}`);
+            }
+            const data = await response.json();
+            siteHistory.set(name, data.checks);
+            refreshCardCharts(name);
+        } catch (error) {
+            console.warn(`Could not load history for ${name}:`, error.message);
+        }
+    }));
+}
+
+/**
+ * Append a live check result to a site's recent history
+ * The card shows the confirmed status, but history records each raw result, which is
+ * the pending status while a change awaits confirmation
+ */
+function addCardHistoryEntry(site) {
+    const checks = siteHistory.get(site.name) || [];
+    const last = checks[checks.length - 1];
+    if (!site.checkedAt || (last && last.checkedAt === site.checkedAt)) {
+        return;
+    }
+    
+    // During maintenance, status is MAINTENANCE and the checked status is maintenance.status
+    const status = site.maintenance ? site.maintenance.status : site.status;
+    checks.push({
+        status: site.pendingStatus || status,
+        maintenance: Boolean(site.maintenance),
+        statusCode: site.statusCode,
+        responseTime: site.responseTime,
+        errorType: site.errorType,
+        checkedAt: site.checkedAt
+    });
+    siteHistory.set(site.name, checks.slice(-CARD_HISTORY_CHECKS));
+}
+
+/**
+ * Sparkline and uptime bar HTML for a site's card
+ */
+function renderCardCharts(siteName) {
+    const checks = siteHistory.get(siteName) || [];
+    const responseTimes = checks.map(check => check.status === 'DOWN' ? null : check.responseTime);
+    return renderSparkline(responseTimes) + renderUptimeBar(checks);
+}
+
+/**
+ * Redraw the charts on one card after its history changed
+ */
+function refreshCardCharts(siteName) {
+    const card = siteCards.get(siteName);
+    if (card) {
+        card.querySelector('.site-charts').innerHTML = renderCardCharts(siteName);
+    }
+}
+
+/**
+ * Fetch SLA figures and show them on the uptime / response time stat cards
+ */
+async function loadSla() {
+    try {
+        const response = await apiFetch('/api/sla');
+        if (!response.ok) {
+            throw new Error(`Backend returned ${response.status}`);
+        }
+        const data = await response.json();
+        updateSlaStats(data);
+    } catch (error) {
+        console.warn('Could not load SLA figures:', error.message);
+    }
+}
+
+/**
+ * Update stat cards from a /api/sla response
+ */
+function updateSlaStats(data) {
+    const { overall, sites } = data;
+    const formatPercent = value => (value === null || value === undefined) ? 'N/A' : `${value.toFixed(2)}%`;
+    
+    statUptimeEl.textContent = formatPercent(overall['24h']);
+    statUptimeWindowsEl.textContent = `7d: ${formatPercent(overall['7d'])} · 30d: ${formatPercent(overall['30d'])}`;
+    
+    // Average the per-site 24h response figures (sites without data are skipped)
+    const daily = sites.map(site => site.windows['24h'].responseTime).filter(rt => rt.avg !== null);
+    if (daily.length === 0) {
+        statAvgResponseEl.textContent = '-';
+        statPercentilesEl.textContent = '';
+        return;
+    }
+    const mean = key => Math.round(daily.reduce((sum, rt) => sum + rt[key], 0) / daily.length);
+    statAvgResponseEl.textContent = `${mean('avg')}ms`;
+    statPercentilesEl.textContent = `p95: ${mean('p95')}ms · p99: ${mean('p99')}ms`;
 }
 
 /**
@@ -188,9 +727,20 @@ function createSiteCard(site) {
     card.className = 'site-card';
     
     // Status styling
+    // A flapping site keeps changing state, so neither UP nor DOWN describes it well;
+    // during maintenance, downtime is expected and not alerted
     const isUp = site.status === 'UP';
-    const statusClass = isUp ? 'status-up' : 'status-down';
-    const statusText = isUp ? '✓ UP' : '✗ DOWN';
+    let statusClass = site.flapping ? 'status-flapping' : (isUp ? 'status-up' : 'status-down');
+    let statusText = site.flapping ? '〰 FLAPPING' : (isUp ? '✓ UP' : '✗ DOWN');
+    if (site.status === 'DEGRADED' && !site.flapping) {
+        // Working, but slower than the site's latency warning (or critical) threshold
+        statusClass = 'status-degraded';
+        statusText = site.latencyLevel === 'critical' ? '🐢 DEGRADED (critical)' : '🐢 DEGRADED';
+    }
+    if (site.maintenance) {
+        statusClass = 'status-maintenance';
+        statusText = '🔧 MAINTENANCE';
+    }
     
     // Build details HTML
     let detailsHTML = `<div class="detail-item">⏱️ ${site.responseTime || 'N/A'}ms</div>`;
@@ -199,23 +749,75 @@ function createSiteCard(site) {
         detailsHTML += `<div class="detail-item">📊 ${site.statusCode}</div>`;
     }
     
+    if (site.tls) {
+        const certWarning = !site.tls.chainValid || site.tls.daysToExpiry <= 14;
+        const certText = site.tls.expired ? 'Cert expired' : `Cert: ${site.tls.daysToExpiry}d left`;
+        const certTitle = site.tls.chainValid ? site.tls.issuer : (site.tls.authorizationError || site.tls.hostnameError || 'Certificate not valid');
+        detailsHTML += `<div class="detail-item${certWarning ? ' detail-warning' : ''}" title="${escapeHtml(certTitle || '')}">${site.tls.chainValid ? '🔒' : '🔓'} ${certText}</div>`;
+    }
+    
+    if (site.redirectChain && site.redirectChain.length > 1) {
+        // Every hop from the configured URL to where the check ended, with timings on hover
+        const redirects = site.redirectChain.length - 1;
+        const finalHop = site.redirectChain[redirects];
+        const chainTitle = site.redirectChain
+            .map(hop => `${hop.statusCode} ${hop.url} (${hop.responseTime}ms)`)
+            .join('\n');
+        detailsHTML += `<div class="detail-item" title="${escapeHtml(chainTitle)}">↪️ ${redirects} redirect${redirects === 1 ? '' : 's'} → ${escapeHtml(new URL(finalHop.url).host)}</div>`;
+    }
+    
+    if (site.steps) {
+        // Transaction checks: how far the steps got, with each step's timing on hover
+        const passed = site.steps.filter(step => step.passed).length;
+        const failedStep = site.steps.find(step => !step.passed);
+        const stepsText = failedStep ? `Failed at "${failedStep.name}"` : `${passed}/${site.steps.length} steps`;
+        const stepsTitle = site.steps
+            .map((step, index) => `${index + 1}. ${step.name}: ${step.passed ? '✓' : '✗'} ${step.statusCode || '-'} in ${step.responseTime}ms`)
+            .join('\n');
+        detailsHTML += `<div class="detail-item${failedStep ? ' detail-warning' : ''}" title="${escapeHtml(stepsTitle)}">🧭 ${escapeHtml(stepsText)}</div>`;
+    }
+    
     if (site.checkedAt) {
         const checkedTime = new Date(site.checkedAt);
         const timeAgo = getTimeAgo(checkedTime);
         detailsHTML += `<div class="detail-item">🕐 ${timeAgo}</div>`;
     }
     
+    if (site.maintenance) {
+        detailsHTML += `<div class="detail-item" title="${escapeHtml(site.maintenance.name)}">🔧 Until ${formatTime(site.maintenance.endsAt)}</div>`;
+    }
+
+    if (site.mutedUntil) {
+        detailsHTML += `<div class="detail-item">🔕 Alerts muted until ${formatTime(site.mutedUntil)}</div>`;
+    }
+    
     if (site.error) {
-        detailsHTML += `<div class="detail-item">❌ ${site.error}</div>`;
+        // Failed content assertions and slow responses get their own markers so they stand out from network errors
+        const icon = { 'Assertion Failed': '🧪', 'Slow Response': '🐢' }[site.errorType] || '❌';
+        const label = site.errorType ? `${site.errorType}: ` : '';
+        const errorClass = site.status === 'DEGRADED' ? 'detail-warning' : 'detail-error';
+        detailsHTML += `<div class="detail-item ${errorClass}">${icon} ${escapeHtml(label + site.error)}</div>`;
     }
     
+    // TCP and DNS checks have tcp:// and dns:// addresses that browsers can't open
+    const siteUrlHTML = isHttpUrl(site.url)
+        ? `<a href="${escapeHtml(site.url)}" target="_blank" rel="noopener" style="color: var(--color-primary); text-decoration: none;">${escapeHtml(site.url)}</a>`
+        : escapeHtml(site.url);
+    
+    // Tags filter the list when clicked
+    const tagsHTML = (site.tags || []).length > 0
+        ? `<div class="site-tags">${site.tags.map(tag => `<span class="site-tag" data-tag="${escapeHtml(tag)}" title="Show sites tagged ${escapeHtml(tag)}">#${escapeHtml(tag)}</span>`).join('')}</div>`
+        : '';
+    
     card.innerHTML = `
         <div class="site-info">
-            <div class="site-name">${site.name}</div>
-            <div class="site-url"><a href="${site.url}" target="_blank" style="color: var(--color-primary); text-decoration: none;">${site.url}</a></div>
+            <div class="site-name">${escapeHtml(site.name)}</div>
+            <div class="site-url">${siteUrlHTML}</div>
+            ${tagsHTML}
             <div class="site-details">
                 ${detailsHTML}
             </div>
+            <div class="site-charts">${renderCardCharts(site.name)}</div>
         </div>
         <div class="site-status ${statusClass}">
             <span class="status-indicator"></span>
@@ -223,9 +825,177 @@ function createSiteCard(site) {
         </div>
     `;
     
+    card.title = 'Show details';
+    card.addEventListener('click', function(event) {
+        const tag = event.target.closest('.site-tag');
+        if (tag) {
+            siteSearchEl.value = tag.dataset.tag;
+            renderSiteList();
+            return;
+        }
+        // Let the site link open normally
+        if (!event.target.closest('a')) {
+            openSiteDetail(site.name);
+        }
+    });
+    
     return card;
 }
 
+/**
+ * Open the detail view for a site
+ */
+function openSiteDetail(siteName) {
+    detailSiteName = siteName;
+    detailTitleEl.textContent = siteName;
+    siteDetailEl.hidden = false;
+    document.body.classList.add('detail-open');
+    loadSiteDetail();
+}
+
+/**
+ * Close the detail view
+ */
+function closeSiteDetail() {
+    detailSiteName = null;
+    detailChart = null;
+    siteDetailEl.hidden = true;
+    document.body.classList.remove('detail-open');
+}
+
+/**
+ * Load history and incidents for the open site over the selected range and render them
+ */
+async function loadSiteDetail() {
+    const siteName = detailSiteName;
+    const range = detailRange;
+    const to = Date.now();
+    const from = to - DETAIL_RANGES[range];
+    
+    document.querySelectorAll('.detail-range').forEach(button => {
+        button.classList.toggle('active', button.dataset.range === range);
+    });
+    detailSummaryEl.textContent = 'Loading...';
+    
+    try {
+        const encodedName = encodeURIComponent(siteName);
+        const [historyResponse, incidentsResponse] = await Promise.all([
+            apiFetch(`/api/history/${encodedName}?from=${from}&to=${to}&limit=${DETAIL_HISTORY_LIMIT}`),
+            apiFetch(`/api/incidents?site=${encodedName}&limit=20`)
+        ]);
+        if (!historyResponse.ok || !incidentsResponse.ok) {
+            throw new Error(describeApiError(historyResponse.ok ? incidentsResponse : historyResponse));
+        }
+        const history = await historyResponse.json();
+        const { incidents } = await incidentsResponse.json();
+        
+        // Ignore responses for a site or range that is no longer selected
+        if (siteName !== detailSiteName || range !== detailRange) {
+            return;
+        }
+        
+        detailChart = createResponseChart(detailChartEl, history.checks, {
+            from,
+            to,
+            incidents,
+            onRangeChange: (viewFrom, viewTo) => renderDetailBreakdowns(history, viewFrom, viewTo)
+        });
+        renderDetailBreakdowns(history, from, to);
+        renderIncidentTimeline(incidents);
+    } catch (error) {
+        console.error('Error loading site details:', error);
+        detailSummaryEl.textContent = `Could not load details: ${error.message}`;
+    }
+}
+
+/**
+ * Summarize the checks inside the chart's visible range: status codes and error types
+ */
+function renderDetailBreakdowns(history, from, to) {
+    const checks = history.checks.filter(check => {
+        const time = Date.parse(check.checkedAt);
+        return time >= from && time <= to;
+    });
+    // Checks during maintenance windows don't count towards uptime
+    const measured = checks.filter(check => !check.maintenance);
+    const failed = measured.filter(check => check.status === 'DOWN');
+    const degraded = measured.filter(check => check.status === 'DEGRADED');
+    const uptime = measured.length > 0 ? `${(((measured.length - failed.length) / measured.length) * 100).toFixed(2)}%` : 'N/A';
+    const inMaintenance = checks.length - measured.length;
+    // The backend returns the most recent checks when a range holds more than the limit
+    const truncated = history.count >= DETAIL_HISTORY_LIMIT ? ` (latest ${DETAIL_HISTORY_LIMIT} checks)` : '';
+    
+    detailSummaryEl.textContent = `${formatTime(new Date(from).toISOString())} – ${formatTime(new Date(to).toISOString())}: ` +
+        `${checks.length} checks, ${failed.length} failed, ${uptime} up` +
+        `${degraded.length > 0 ? `, ${degraded.length} slow` : ''}` +
+        `${inMaintenance > 0 ? `, ${inMaintenance} during maintenance` : ''}${truncated}`;
+    
+    const countBy = (entries, keyOf, classOf) => {
+        const counts = new Map();
+        entries.forEach(entry => {
+            const key = keyOf(entry);
+            counts.set(key, (counts.get(key) || 0) + 1);
+        });
+        return [...counts].map(([label, count]) => ({ label, count, className: classOf(label) }));
+    };
+    
+    detailStatusCodesEl.innerHTML = renderBarList(countBy(
+        checks,
+        check => check.statusCode ? String(check.statusCode) : 'No response',
+        label => /^[23]/.test(label) ? 'bar-ok' : 'bar-error'
+    ));
+    detailErrorsEl.innerHTML = renderBarList(countBy(
+        failed,
+        check => check.errorType || 'Unknown',
+        () => 'bar-error'
+    ));
+}
+
+/**
+ * Render a site's recent incidents, newest first
+ */
+function renderIncidentTimeline(incidents) {
+    if (incidents.length === 0) {
+        detailIncidentsEl.innerHTML = '<p class="chart-empty">No incidents recorded</p>';
+        return;
+    }
+    
+    detailIncidentsEl.innerHTML = incidents.map(incident => {
+        const isOpen = incident.status === 'open';
+        const duration = isOpen ? `ongoing for ${formatElapsed(Date.now() - Date.parse(incident.startedAt))}` : formatElapsed(incident.durationMs);
+        const cause = incident.firstErrorType ? `${incident.firstErrorType}: ${incident.firstError || ''}` : (incident.firstError || 'Unknown error');
+        return `
+            <div class="incident-item${isOpen ? ' incident-open' : ''}">
+                <div class="incident-time">#${incident.id} · ${formatTime(incident.startedAt)}</div>
+                <div class="incident-summary">${isOpen ? '🔴' : '🟢'} ${escapeHtml(duration)} · ${incident.failedChecks} failed checks</div>
+                <div class="incident-cause">${escapeHtml(cause)}</div>
+            </div>`;
+    }).join('');
+}
+
+/**
+ * Escape text for safe insertion into HTML
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Check that a URL parses and uses http: or https: (safe to put in a link's href)
+ */
+function isHttpUrl(url) {
+    try {
+        return ['http:', 'https:'].includes(new URL(url).protocol);
+    } catch (error) {
+        return false;
+    }
+}
+
 /**
  * Format timestamp to local date/time string safely
  */
@@ -249,6 +1019,17 @@ function getTimeAgo(date) {
     return `${Math.floor(secondsAgo / 86400)}d ago`;
 }
 
+/**
+ * Format a duration in milliseconds, e.g. "45s", "12m", "3h 5m", "2d 4h"
+ */
+function formatElapsed(ms) {
+    const seconds = Math.round(ms / 1000);
+    if (seconds < 60) return `${seconds}s`;
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m`;
+    if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+    return `${Math.floor(seconds / 86400)}d ${Math.floor((seconds % 86400) / 3600)}h`;
+}
+
 /**
  * Show error message
  */
@@ -265,6 +1046,18 @@ function clearError() {
     errorMessage.textContent = '';
 }
 
+/**
+ * Load the names of the groups collapsed on a previous visit
+ */
+function loadCollapsedGroups() {
+    try {
+        return new Set(JSON.parse(localStorage.getItem(COLLAPSED_GROUPS_STORAGE_KEY) || '[]'));
+    } catch (error) {
+        console.warn('Could not load collapsed groups:', error);
+        return new Set();
+    }
+}
+
 /**
  * Save data to localStorage
  */
@@ -292,12 +1085,6 @@ function loadFromLocalStorage() {
     return null;
 }
 
-/**
- * OPTIONAL: Auto-refresh every 5 minutes
- * Uncomment to enable automatic refreshing
- */
-// setInterval(checkSites, 5 * 60 * 1000);
-
 console.log('🚀 CheckUpSite Dashboard initialized');
-console.log('💡 Press R key to refresh, or click "Check Now" button');
+console.log('💡 Cards update live; press R or click "Check Now" to run checks immediately');
 console.log('Backend API:', API_BASE_URL);